@@ -1,7 +1,154 @@
 import { Agentlet } from '../lib/agentlet-1.0.0.js';
+import { LOCALES, DEFAULT_LOCALE, getLocale } from './locales.js';
+import { CATEGORIES, pickWord, isDictionaryWord } from './words.js';
+
+// Caracteres de la palabra secreta que no se adivinan: se muestran revelados desde el inicio.
+const SEPARATORS = [' ', '-', "'"];
+
+// Modos de comparación de letras: 'insensitive' trata cada variante acentuada como su letra base
+// (las letras propias del alfabeto, como la ñ, no se reducen); 'strict' exige adivinar cada variante por separado.
+const ACCENT_MODES = ['insensitive', 'strict'];
+
+// Letras latinas (incluye las acentuadas, ñ, ç, umlauts y ß). El alfabeto del idioma activo
+// se valida después en cada tool.
+const LETTER_CLASS = 'A-Za-zÀ-ÖØ-öø-ÿ';
+
+// Intentos de cada nivel de dificultad. Con el parámetro `attempts` la dificultad pasa a 'custom'.
+const DIFFICULTIES = { easy: 10, normal: 6, hard: 4 };
+const DEFAULT_DIFFICULTY = 'normal';
+const MIN_ATTEMPTS = 1;
+const MAX_ATTEMPTS = 12;
+
+// Intentos que cuesta arriesgar una palabra completa incorrecta, si no se indica otra cosa.
+const DEFAULT_WORD_PENALTY = 2;
+
+// Intentos que cuesta el botón "Pedir pista". Las pistas que da el asistente con giveHint son gratis.
+const HINT_COST = 1;
+const MAX_CLUE_LENGTH = 200;
+
+// Eventos que se guardan en el log del tablero; al superarlo se descartan los más viejos. Las
+// estadísticas no dependen del log: se llevan en contadores aparte. En el storage solo se guardan
+// los últimos MAX_SAVED_EVENTS, porque el estado se escribe tras cada jugada.
+const MAX_EVENTS = 200;
+const MAX_SAVED_EVENTS = 50;
+
+// Estados de la compuerta de turno de la IA: tras cada jugada espera la aprobación del usuario
+// ('waiting'), que puede pausar el juego ('paused'). Sin compuerta, _gate es null.
+const GATE_STATES = ['waiting', 'paused'];
+
+// Las pistas del asistente se muestran en el tablero: se escapan antes de insertarlas en el HTML.
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Contadores por rol de las estadísticas; las tasas se calculan al final (null si no hay datos).
+function emptyRoleStats() {
+    return { played: 0, won: 0, lost: 0, wrongGuesses: 0, letterGuesses: 0, correctLetters: 0 };
+}
+
+function emptyStats() {
+    return { since: null, roles: { user: emptyRoleStats(), ai: emptyRoleStats() } };
+}
+
+// Suma un evento a los contadores por rol
+function countEvent(stats, event) {
+    if (stats.since === null) stats.since = event.timestamp;
+    const role = stats.roles[event.role];
+    if (!role) return;
+    if (event.type === 'letter_guessed') {
+        role.letterGuesses++;
+        if (event.correct) role.correctLetters++;
+    } else if (event.type === 'game_won' || event.type === 'game_lost') {
+        role.played++;
+        role[event.type === 'game_won' ? 'won' : 'lost']++;
+        role.wrongGuesses += event.wrongGuesses;
+    }
+}
+
+// Los estados guardados antes de llevar contadores se recalculan desde su log de eventos
+function restoreStats(saved, events) {
+    const stats = emptyStats();
+    if (!saved || !saved.roles) {
+        events.forEach(event => countEvent(stats, event));
+        return stats;
+    }
+    stats.since = typeof saved.since === 'number' ? saved.since : null;
+    for (const [name, counters] of Object.entries(stats.roles)) {
+        for (const key of Object.keys(counters)) {
+            const value = saved.roles[name] && saved.roles[name][key];
+            counters[key] = Number.isFinite(value) ? value : 0;
+        }
+    }
+    return stats;
+}
+
+function ratio(part, total) {
+    return total > 0 ? Math.round(part / total * 1000) / 1000 : null;
+}
+
+// Piezas del dibujo. El muñeco (FIGURE_PARTS) siempre se dibuja; con más de 6 intentos se suman
+// piezas de EXTRA_PARTS en ese orden, y las que no se usan como etapa quedan fijas (la cuerda y el
+// refuerzo de la horca) u ocultas (cara y manos). DRAW_ORDER es el orden en que aparecen.
+const FIGURE_PARTS = ['head', 'body', 'armL', 'armR', 'legL', 'legR'];
+const EXTRA_PARTS = ['eyes', 'mouth', 'handL', 'handR', 'rope', 'brace'];
+const DRAW_ORDER = ['brace', 'rope', 'head', 'eyes', 'mouth', 'body', 'armL', 'handL', 'armR', 'handR', 'legL', 'legR'];
+const GALLOWS_PARTS = ['rope', 'brace'];
+
+const SVG_PARTS = {
+    brace: `<line data-part="brace" x1="60"  y1="60"  x2="100" y2="20"  stroke="currentColor" stroke-width="4" />`,
+    rope: `<line data-part="rope" x1="200" y1="20"  x2="200" y2="50"  stroke="currentColor" stroke-width="3" />`,
+    head: `<circle data-part="head" cx="200" cy="68" r="18" stroke="currentColor" stroke-width="3" fill="none" />`,
+    eyes: `<circle data-part="eyes" cx="193" cy="64" r="2.5" fill="currentColor" /><circle data-part="eyes" cx="207" cy="64" r="2.5" fill="currentColor" />`,
+    mouth: `<path data-part="mouth" d="M192 77 Q200 71 208 77" stroke="currentColor" stroke-width="2" fill="none" />`,
+    body: `<line data-part="body" x1="200" y1="86" x2="200" y2="130" stroke="currentColor" stroke-width="3" />`,
+    armL: `<line data-part="armL" x1="200" y1="98" x2="178" y2="116" stroke="currentColor" stroke-width="3" />`,
+    handL: `<circle data-part="handL" cx="175" cy="119" r="4" stroke="currentColor" stroke-width="2" fill="none" />`,
+    armR: `<line data-part="armR" x1="200" y1="98" x2="222" y2="116" stroke="currentColor" stroke-width="3" />`,
+    handR: `<circle data-part="handR" cx="225" cy="119" r="4" stroke="currentColor" stroke-width="2" fill="none" />`,
+    legL: `<line data-part="legL" x1="200" y1="130" x2="184" y2="162" stroke="currentColor" stroke-width="3" />`,
+    legR: `<line data-part="legR" x1="200" y1="130" x2="216" y2="162" stroke="currentColor" stroke-width="3" />`
+};
+
+// Colores de los temas incluidos. Cada uno se lee primero de la propiedad `--agentlet-*` del mismo
+// nombre (la que fija la página o el shell), así el tablero se adapta al diseño que lo rodea.
+const PALETTES = {
+    light: {
+        scheme: 'light', background: '#fff', foreground: '#111', muted: '#555', accent: '#0a4dff',
+        border: '#d9d9d9', surface: '#f9f9f9', shadow: '0 6px 20px rgba(0,0,0,0.08)'
+    },
+    dark: {
+        scheme: 'dark', background: '#1e1f24', foreground: '#e8e8e8', muted: '#a0a4ad', accent: '#6ea8ff',
+        border: '#3a3d45', surface: '#2a2d34', shadow: '0 6px 20px rgba(0,0,0,0.5)'
+    },
+    'high-contrast': {
+        scheme: 'dark', background: '#000', foreground: '#fff', muted: '#fff', accent: '#ffff00',
+        border: '#fff', surface: '#000', shadow: 'none'
+    }
+};
+
+function paletteCSS({ scheme, ...colors }) {
+    const properties = Object.entries(colors).map(([name, value]) => `--board-${name}: var(--agentlet-${name}, ${value});`);
+    return [`color-scheme: ${scheme};`, ...properties].join(' ');
+}
+
+// Sin atributo `theme` (o con "auto") se sigue la preferencia del sistema.
+const THEME_CSS = `
+    :host { ${paletteCSS(PALETTES.light)} }
+    ${Object.keys(PALETTES).map(theme => `:host([theme="${theme}"]) { ${paletteCSS(PALETTES[theme])} }`).join('\n')}
+    @media (prefers-color-scheme: dark) {
+        :host(:not([theme])), :host([theme="auto"]) { ${paletteCSS(PALETTES.dark)} }
+    }
+    @media (prefers-contrast: more) {
+        :host(:not([theme])), :host([theme="auto"]) { ${paletteCSS(PALETTES['high-contrast'])} }
+    }
+`;
 
 class HangmanAgentlet extends Agentlet {
 
+    static observedAttributes = [...Agentlet.observedAttributes, 'locale'];
+
     static get agentletId() {
         return {
             manifestVersion: "1.1.0-mini",
@@ -13,289 +160,1678 @@ class HangmanAgentlet extends Agentlet {
         };
     }
 
+    static get tools() {
+        return [
+            {
+                name: 'startTurnAsUser',
+                description: 'Inicia el turno del usuario. El asistente puede pasar la palabra secreta o, sin `word`, pedir una al azar del banco de palabras según `category` y `difficulty`; en ese caso la palabra no se revela al asistente.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        word: {
+                            type: 'string',
+                            description: 'Palabra o frase secreta elegida por el asistente (letras del alfabeto del idioma activo, con sus tildes; permite palabras separadas por espacios, guiones o apóstrofos).',
+                            pattern: `^[${LETTER_CLASS}]+([ '-][${LETTER_CLASS}]+)*$`
+                        },
+                        category: {
+                            type: 'string',
+                            description: 'Categoría del banco de palabras cuando no se pasa `word` (por defecto, una al azar). Se muestra en el tablero.',
+                            enum: CATEGORIES
+                        },
+                        accentMode: {
+                            type: 'string',
+                            description: 'Comparación de tildes: "insensitive" (por defecto, adivinar una vocal revela también sus variantes acentuadas) o "strict" (cada variante se adivina por separado).',
+                            enum: ACCENT_MODES
+                        },
+                        difficulty: {
+                            type: 'string',
+                            description: 'Dificultad: "easy" (10 intentos), "normal" (6, por defecto) o "hard" (4).',
+                            enum: Object.keys(DIFFICULTIES)
+                        },
+                        attempts: {
+                            type: 'integer',
+                            description: 'Cantidad de intentos personalizada; tiene prioridad sobre difficulty.',
+                            minimum: MIN_ATTEMPTS,
+                            maximum: MAX_ATTEMPTS
+                        },
+                        wordPenalty: {
+                            type: 'integer',
+                            description: `Intentos que se pierden al arriesgar una palabra completa incorrecta (por defecto ${DEFAULT_WORD_PENALTY}).`,
+                            minimum: 1,
+                            maximum: MAX_ATTEMPTS
+                        }
+                    },
+                    required: []
+                },
+                handler(params) {
+                    const turnError = this._checkMatchTurn('user') || this._checkTurnOrder('agentlet_startTurnAsUser', 'user');
+                    if (turnError) return turnError;
+                    let word = params.word;
+                    let category = null;
+                    if (word === undefined) {
+                        const picked = pickWord(this._locale, {
+                            category: params.category,
+                            difficulty: DIFFICULTIES[params.difficulty] ? params.difficulty : DEFAULT_DIFFICULTY
+                        });
+                        if (!picked) return { status: 'ERROR', message: this._messages.noWordsInBank };
+                        ({ word, category } = picked);
+                    } else {
+                        const wordError = this._checkSecretWord(word);
+                        if (wordError) return wordError;
+                        category = params.category || null;
+                    }
+                    this._startGame(word, {
+                        category,
+                        accentMode: params.accentMode,
+                        difficulty: params.difficulty,
+                        attempts: params.attempts,
+                        wordPenalty: params.wordPenalty
+                    });
+                    const categoryText = category ? ` ${this._getCategoryText()}` : '';
+                    return {
+                        status: 'OK',
+                        message: `${this._messages.gameStartedUser}${categoryText} ${this._getDifficultyText()} ${this._messages.wordPenalty({ penalty: this._wordPenalty })}`,
+                        response: { category, difficulty: this._difficulty, maxAttempts: this._maxAttempts, wordPenalty: this._wordPenalty }
+                    };
+                }
+            },
+            {
+                name: 'submitSecretWord',
+                description: 'Comienza el turno de la IA con una palabra secreta que el usuario dictó al asistente. Prefiere agentlet_requestSecretWord, que no hace pasar la palabra por el asistente. La palabra nunca se devuelve en la respuesta.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        word: {
+                            type: 'string',
+                            description: 'Palabra o frase secreta elegida por el humano (letras del alfabeto del idioma activo, con sus tildes; permite palabras separadas por espacios, guiones o apóstrofos).',
+                            pattern: `^[${LETTER_CLASS}]+([ '-][${LETTER_CLASS}]+)*$`
+                        },
+                        validateWord: {
+                            type: 'boolean',
+                            description: 'Si es true, solo acepta palabras del diccionario del idioma activo que haya registrado la página (o del banco de palabras); si no hay diccionario, la palabra se rechaza sin validar. Por defecto, el atributo `validate-words` del tablero.'
+                        },
+                        accentMode: {
+                            type: 'string',
+                            description: 'Comparación de tildes: "insensitive" (por defecto, adivinar una vocal revela también sus variantes acentuadas) o "strict" (cada variante se adivina por separado).',
+                            enum: ACCENT_MODES
+                        },
+                        difficulty: {
+                            type: 'string',
+                            description: 'Dificultad: "easy" (10 intentos), "normal" (6, por defecto) o "hard" (4).',
+                            enum: Object.keys(DIFFICULTIES)
+                        },
+                        attempts: {
+                            type: 'integer',
+                            description: 'Cantidad de intentos personalizada; tiene prioridad sobre difficulty.',
+                            minimum: MIN_ATTEMPTS,
+                            maximum: MAX_ATTEMPTS
+                        },
+                        wordPenalty: {
+                            type: 'integer',
+                            description: `Intentos que se pierden al arriesgar una palabra completa incorrecta (por defecto ${DEFAULT_WORD_PENALTY}).`,
+                            minimum: 1,
+                            maximum: MAX_ATTEMPTS
+                        }
+                    },
+                    required: ['word']
+                },
+                sensitive: { params: ['word'] },
+                async handler(params, context) {
+                    const turnError = this._checkMatchTurn('ai') || this._checkTurnOrder('agentlet_submitSecretWord', 'ai');
+                    if (turnError) return turnError;
+                    const wordError = this._checkSecretWord(params.word)
+                        || await this._checkDictionaryWord(params.word, params.validateWord);
+                    if (wordError) return wordError;
+                    // Mientras se cargaba el diccionario la llamada pudo vencer o empezar otra ronda
+                    if (context && context.signal.aborted) return undefined;
+                    const lateError = this._checkMatchTurn('ai') || this._checkTurnOrder('agentlet_submitSecretWord', 'ai');
+                    if (lateError) return lateError;
+                    this._startGameAsAI(params.word, {
+                        accentMode: params.accentMode,
+                        difficulty: params.difficulty,
+                        attempts: params.attempts,
+                        wordPenalty: params.wordPenalty
+                    });
+                    return {
+                        status: 'OK',
+                        message: `${this._messages.gameStartedAI} ${this._getDifficultyText()} ${this._messages.wordPenalty({ penalty: this._wordPenalty })}`,
+                        response: { difficulty: this._difficulty, maxAttempts: this._maxAttempts, wordPenalty: this._wordPenalty }
+                    };
+                }
+            },
+            {
+                name: 'requestSecretWord',
+                description: 'Pide al usuario que escriba su palabra secreta directamente en el tablero para que la IA la adivine. La palabra nunca llega al asistente; cuando el usuario la escribe, se notifica por mensaje que empieza el turno de la IA.',
+                parameters: {
+                    type: 'object',
+                    properties: {}
+                },
+                handler() {
+                    const turnError = this._checkMatchTurn('ai') || this._checkTurnOrder('agentlet_requestSecretWord', 'ai');
+                    if (turnError) return turnError;
+                    this._clearRound();
+                    this._secretEntry = true;
+                    this._update();
+                    return {
+                        status: 'OK',
+                        message: this._messages.secretEntryRequested,
+                        response: {}
+                    };
+                }
+            },
+            {
+                name: 'guessLetter',
+                description: 'Usa esta función en el turno de la IA para adivinar una sola letra. Después de cada jugada, espera a que el usuario pulse «Continuar» en el tablero antes de la siguiente.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        letter: {
+                            type: 'string',
+                            description: 'Letra a adivinar (una sola, del alfabeto del idioma activo; permite tildes).',
+                            pattern: `^[${LETTER_CLASS}]$`
+                        }
+                    },
+                    required: ['letter']
+                },
+                handler(params) {
+                    return this._processAIGuess(params.letter.toLowerCase());
+                }
+            },
+            {
+                name: 'guessWord',
+                description: 'Usa esta función en el turno de la IA para arriesgar la palabra o frase completa. Si es incorrecta se pierden varios intentos (ver wordPenalty en el estado del juego).',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        word: {
+                            type: 'string',
+                            description: 'Palabra o frase completa que la IA cree que es la secreta.',
+                            pattern: `^[${LETTER_CLASS}]+([ '-][${LETTER_CLASS}]+)*$`
+                        }
+                    },
+                    required: ['word']
+                },
+                handler(params) {
+                    return this._processAIWordGuess(params.word);
+                }
+            },
+            {
+                name: 'giveHint',
+                description: 'Da una pista al usuario durante su turno: revela una letra de la palabra secreta o muestra una pista en texto en el tablero (o ambas). Úsala cuando el usuario pida una pista.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        letter: {
+                            type: 'string',
+                            description: 'Letra de la palabra secreta que se revela. Si no está en la palabra, la tool responde con error y no revela nada.',
+                            pattern: `^[${LETTER_CLASS}]$`
+                        },
+                        clue: {
+                            type: 'string',
+                            description: 'Pista en texto que se muestra en el tablero. No debe contener la palabra secreta.',
+                            minLength: 1,
+                            maxLength: MAX_CLUE_LENGTH
+                        }
+                    }
+                },
+                handler(params) {
+                    return this._giveHint(params);
+                }
+            },
+            {
+                name: 'startMatch',
+                description: 'Inicia una partida al mejor de N rondas en la que el usuario y la IA se turnan automáticamente para adivinar. La respuesta indica qué tool llamar para comenzar cada ronda.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        rounds: {
+                            type: 'integer',
+                            description: 'Cantidad de rondas de la partida (al mejor de N).',
+                            minimum: 1,
+                            maximum: 9
+                        },
+                        firstGuesser: {
+                            type: 'string',
+                            description: 'Quién adivina en la primera ronda: "user" (el usuario) o "ai" (la IA). Por defecto "user".',
+                            enum: ['user', 'ai']
+                        }
+                    },
+                    required: ['rounds']
+                },
+                handler(params) {
+                    this._startMatch(params.rounds, params.firstGuesser || 'user');
+                    return {
+                        status: 'OK',
+                        message: this._messages.matchStarted({ rounds: params.rounds, next: this._getMatchNextStepText() }),
+                        response: this._getGameSnapshot()
+                    };
+                }
+            },
+            {
+                name: 'getGameState',
+                description: 'Devuelve el estado actual del tablero (palabra enmascarada, letras intentadas, intentos restantes y turno) sin revelar la palabra secreta.',
+                parameters: {
+                    type: 'object',
+                    properties: {}
+                },
+                handler() {
+                    return {
+                        status: 'OK',
+                        message: this._messages.gameState,
+                        response: this._getGameSnapshot()
+                    };
+                }
+            },
+            {
+                name: 'getStats',
+                description: 'Devuelve las estadísticas de las partidas jugadas en el tablero por rol (user: adivinó el usuario, ai: adivinó la IA): partidas, porcentaje de victorias, fallos promedio por partida y acierto de letras. Con includeEvents también devuelve el log de eventos.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        includeEvents: {
+                            type: 'boolean',
+                            description: 'Incluir el log de eventos (game_started, letter_guessed, game_won...) en la respuesta. Por defecto false.'
+                        }
+                    }
+                },
+                handler(params) {
+                    const stats = this._getStats();
+                    return {
+                        status: 'OK',
+                        message: this._messages.stats(stats.roles),
+                        response: params.includeEvents ? { ...stats, events: this._events } : stats
+                    };
+                }
+            },
+            {
+                name: 'resetGame',
+                description: 'Reinicia el estado del juego en el Agentlet y deja todo listo para iniciar un nuevo turno. También cancela la partida al mejor de N en curso.',
+                parameters: {
+                    type: 'object',
+                    properties: {}
+                },
+                handler() {
+                    this._resetGame();
+                    return {
+                        status: 'OK',
+                        message: this._messages.gameReset,
+                        response: {}
+                    };
+                }
+            },
+            {
+                name: 'setLocale',
+                description: 'Cambia el idioma del tablero, de los mensajes y del alfabeto del teclado. No se puede cambiar si la palabra de la ronda en curso usa letras que no existen en el nuevo alfabeto.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        locale: {
+                            type: 'string',
+                            description: 'Código del idioma.',
+                            enum: Object.keys(LOCALES)
+                        }
+                    },
+                    required: ['locale']
+                },
+                handler(params) {
+                    const error = this._setLocale(params.locale);
+                    if (error) {
+                        return {
+                            status: 'ERROR',
+                            message: error
+                        };
+                    }
+                    return {
+                        status: 'OK',
+                        message: this._messages.localeChanged({ name: getLocale(this._locale).name }),
+                        response: this._getGameSnapshot()
+                    };
+                }
+            }
+        ];
+    }
+
     constructor() {
         super();
         this._secretWord = '';
         this._guessedLetters = new Set();
         this._incorrectLetters = new Set();
-        this._maxAttempts = 6;
+        this._incorrectWords = new Set();
+        this._hints = [];
+        this._events = [];
+        this._stats = emptyStats();
+        this._secretEntry = false;
+        this._secretHidden = false;
+        this._category = null;
+        this._gate = null;
+        this._wordPenalty = DEFAULT_WORD_PENALTY;
+        this._difficulty = DEFAULT_DIFFICULTY;
+        this._maxAttempts = DIFFICULTIES[DEFAULT_DIFFICULTY];
         this._remainingAttempts = this._maxAttempts;
         this._gameOver = false;
         this._aiTurn = false;
+        this._match = null;
+        this._accentMode = ACCENT_MODES[0];
+        this._locale = DEFAULT_LOCALE;
+        this._onKeyDown = this._onKeyDown.bind(this);
     }
 
     connectedCallback() {
+        // El tablero recibe el foco para que el teclado físico solo afecte a esta instancia
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+        this.addEventListener('keydown', this._onKeyDown);
+        this.setState(this._getViewState());
         super.connectedCallback();
     }
 
     disconnectedCallback() {
+        this.removeEventListener('keydown', this._onKeyDown);
         super.disconnectedCallback();
     }
 
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'locale') {
+            const error = this._setLocale(newValue);
+            if (error) console.log(`hangman: ${error}`);
+            return;
+        }
+        super.attributeChangedCallback(name, oldValue, newValue);
+    }
+
+    _onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const target = event.composedPath()[0];
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) return;
+        if (Array.from(event.key).length !== 1) return;
+        const letter = event.key.toLowerCase();
+        if (!this._getLetterSet().has(letter)) return;
+        event.preventDefault();
+        this._handleVirtualKey(letter);
+    }
+
 
     _handleVirtualKey(letter) {
         if (this._gameOver || !this._secretWord || this._aiTurn) return;
-        const key = String(letter).toLowerCase();
-        if (!/^[a-zñáéíóú]$/.test(key)) return;
+        const lower = String(letter).toLowerCase();
+        if (!this._getLetterSet().has(lower)) return;
+        const key = this._letterKey(lower);
         if (this._guessedLetters.has(key) || this._incorrectLetters.has(key)) {
-            this._sendMessage(`El usuario ya había intentado la letra '${key}'. Ignorada.`);
+            this._sendMessage(this._messages.userRepeated({ letter: key }));
+            this._announce(this._ui.announceRepeated({ letter: key.toUpperCase() }));
             return;
         }
-        if (this._secretWord.includes(key)) {
+        const correct = this._wordHasLetter(key);
+        if (correct) {
             this._guessedLetters.add(key);
-            this._sendMessage(`El usuario presionó la letra '${key}', y fue correcta.`);
+            this._sendMessage(this._messages.userCorrect({ letter: key }));
+            this._announce(this._ui.announceCorrect({ letter: key.toUpperCase() }));
         } else {
             this._incorrectLetters.add(key);
             this._remainingAttempts--;
-            this._sendMessage(`El usuario presionó la letra '${key}', y fue incorrecta. Le quedan ${this._remainingAttempts} intentos.`);
+            this._sendMessage(this._messages.userIncorrect({ letter: key, remaining: this._remainingAttempts }));
+            this._announce(this._ui.announceIncorrect({ letter: key.toUpperCase(), remaining: this._remainingAttempts }));
+        }
+        this._emitEvent('letter_guessed', { letter: key, correct });
+        this._checkGameStatus();
+        this._update();
+    }
+
+    /**
+    * Palabra completa arriesgada por el usuario desde el campo del tablero.
+    */
+    _handleUserWordGuess(text) {
+        if (this._gameOver || !this._secretWord || this._aiTurn) return;
+        const word = this._normalizeSecret(text);
+        if (!word) return;
+        if (this._getInvalidChars(word, this._locale).length > 0) {
+            this._announce(this._ui.announceWordInvalid);
+            return;
+        }
+        const result = this._applyWordGuess(word);
+        if (result === 'repeated') {
+            this._sendMessage(this._messages.userWordRepeated({ word }));
+            this._announce(this._ui.announceWordRepeated({ word }));
+            return;
+        }
+        if (result) {
+            this._sendMessage(this._messages.userWordCorrect({ word }));
+        } else {
+            this._sendMessage(this._messages.userWordIncorrect({ word, penalty: this._wordPenalty, remaining: this._remainingAttempts }));
+            this._announce(this._ui.announceWordIncorrect({ word, remaining: this._remainingAttempts }));
+        }
+        this._emitEvent('word_guessed', { word, correct: result });
+        this._checkGameStatus();
+        this._update();
+    }
+
+    /**
+    * Aplica una palabra completa (ya normalizada): si coincide revela todas las letras; si no,
+    * resta `_wordPenalty` intentos. Devuelve true, false o 'repeated'.
+    */
+    _applyWordGuess(word) {
+        if (this._incorrectWords.has(word)) return 'repeated';
+        if (this._matchesSecret(word)) {
+            this._secretWord.split('')
+                .filter(ch => !this._isSeparator(ch))
+                .forEach(ch => this._guessedLetters.add(this._letterKey(ch)));
+            return true;
+        }
+        this._incorrectWords.add(word);
+        this._remainingAttempts = Math.max(0, this._remainingAttempts - this._wordPenalty);
+        return false;
+    }
+
+    _matchesSecret(word) {
+        const guess = word.split('');
+        const secret = this._secretWord.split('');
+        return guess.length === secret.length && secret.every((ch, i) =>
+            this._isSeparator(ch) ? ch === guess[i] : !this._isSeparator(guess[i]) && this._letterKey(ch) === this._letterKey(guess[i]));
+    }
+
+    /**
+    * Modo de entrada secreta: el usuario escribe la palabra en el tablero y empieza el turno
+    * de la IA. La palabra no sale del componente: al shell solo llega su longitud.
+    */
+    async _handleSecretEntry(text) {
+        if (!this._secretEntry) return;
+        const word = this._normalizeSecret(text);
+        if (!word) return;
+        const invalid = this._getInvalidChars(word, this._locale);
+        const wellFormed = new RegExp(`^[${LETTER_CLASS}]+([ '-][${LETTER_CLASS}]+)*$`).test(word);
+        if (invalid.length > 0 || !wellFormed) {
+            this._announce(this._ui.secretEntryInvalid({ chars: invalid.join(', ') || word }));
+            return;
+        }
+        if (this.hasAttribute('validate-words')) {
+            const locale = this._locale;
+            const known = await this._lookUpWord(word);
+            if (!this._secretEntry || this._locale !== locale) return;
+            if (!known) {
+                this._announce(known === false ? this._ui.secretEntryUnknown : this._ui.dictionaryUnavailable);
+                return;
+            }
         }
-        this.render();
+        this._secretEntry = false;
+        this._beginGame(word, true, { hidden: true });
+        this._sendMessage(`${this._messages.secretEntered({ length: word.length })} ${this._getDifficultyText()} ${this._messages.wordPenalty({ penalty: this._wordPenalty })}`);
+    }
+
+    /**
+    * Botón "Pedir pista": cuesta HINT_COST intentos. Con el atributo `hint-mode="clue"` se pide
+    * una pista en texto al asistente, que la completa con giveHint; si no, se revela una letra
+    * al azar. Sin intentos suficientes se anuncia por qué no hay pista.
+    */
+    _handleHintRequest() {
+        if (this._gameOver || !this._secretWord || this._aiTurn) return;
+        if (this._remainingAttempts <= HINT_COST) {
+            this._announce(this._ui.hintUnavailable({ cost: HINT_COST }));
+            return;
+        }
+        this._remainingAttempts -= HINT_COST;
+
+        if (this.getAttribute('hint-mode') === 'clue') {
+            this._hints.push({ type: 'clue', clue: null, source: 'user' });
+            this._emitEvent('hint_used', { hint: this._hints.at(-1) });
+            this._sendMessage(this._messages.userHintClue({ remaining: this._remainingAttempts }));
+            this._announce(this._ui.announceHintRequested);
+            this._update();
+            return;
+        }
+
+        const letter = this._pickHiddenLetter();
+        this._guessedLetters.add(letter);
+        this._hints.push({ type: 'letter', letter, source: 'user' });
+        this._emitEvent('hint_used', { hint: this._hints.at(-1) });
+        this._sendMessage(this._messages.userHintLetter({ letter, remaining: this._remainingAttempts }));
+        this._announce(this._ui.announceHintLetter({ letter: letter.toUpperCase(), remaining: this._remainingAttempts }));
         this._checkGameStatus();
+        this._update();
+    }
+
+    /**
+    * Elige al azar una letra de la palabra secreta que todavía no se reveló.
+    */
+    _pickHiddenLetter() {
+        const hidden = [...new Set(this._secretWord.split('')
+            .filter(ch => !this._isCharRevealed(ch))
+            .map(ch => this._letterKey(ch)))];
+        return hidden[Math.floor(Math.random() * hidden.length)];
+    }
+
+    /**
+    * Pista del asistente (tool giveHint): revela `letter` y/o muestra `clue` en el tablero.
+    */
+    _giveHint({ letter, clue }) {
+        if (this._gameOver || !this._secretWord || this._aiTurn) {
+            return {
+                status: 'ERROR',
+                message: this._messages.hintNotUserTurn
+            };
+        }
+        if (!letter && !clue) {
+            return {
+                status: 'ERROR',
+                message: this._messages.hintEmpty
+            };
+        }
+
+        let key = null;
+        if (letter) {
+            key = this._letterKey(letter.toLowerCase());
+            if (!this._wordHasLetter(key)) {
+                return {
+                    status: 'ERROR',
+                    message: this._messages.hintLetterNotInWord({ letter: key })
+                };
+            }
+            if (this._guessedLetters.has(key)) {
+                return {
+                    status: 'ERROR',
+                    message: this._messages.letterRepeated({ letter: key })
+                };
+            }
+        }
+
+        if (key) {
+            this._guessedLetters.add(key);
+            this._hints.push({ type: 'letter', letter: key, source: 'assistant' });
+            this._emitEvent('hint_used', { hint: this._hints.at(-1) });
+            this._announce(this._ui.announceHintLetter({ letter: key.toUpperCase(), remaining: this._remainingAttempts }));
+        }
+        if (clue) {
+            // La pista que el usuario pagó con el botón se completa en vez de contarse dos veces
+            const requested = this._hints.find(hint => hint.type === 'clue' && hint.source === 'user' && !hint.clue);
+            if (requested) {
+                requested.clue = clue;
+            } else {
+                this._hints.push({ type: 'clue', clue, source: 'assistant' });
+            }
+            this._emitEvent('hint_used', { hint: requested || this._hints.at(-1) });
+            this._announce(this._ui.announceClue({ clue }));
+        }
+        this._checkGameStatus();
+        this._update();
+        return {
+            status: 'OK',
+            message: this._messages.hintGiven,
+            response: this._getGameSnapshot()
+        };
+    }
+
+    _getHintsUsedText() {
+        return this._hints.length > 0 ? ` ${this._messages.hintsUsed({ count: this._hints.length })}` : '';
     }
 
     _checkGameStatus() {
-        const revealed = this._secretWord.split('').every(char => this._guessedLetters.has(char));
+        const revealed = this._isWordRevealed();
         if (revealed) {
             this._gameOver = true;
-            this._sendMessage(`¡El usuario adivinó correctamente la palabra secreta '${this._secretWord}'!`);
+            this._sendMessage(this._messages.userWon({ word: this._secretWord }) + this._getHintsUsedText());
+            this._announce(this._ui.announceUserWon({ word: this._secretWord }));
         } else if (this._remainingAttempts <= 0) {
             this._gameOver = true;
-            this._sendMessage(`El usuario falló. La palabra secreta era '${this._secretWord}'.`);
+            this._sendMessage(this._messages.userLost({ word: this._secretWord }) + this._getHintsUsedText());
+            this._announce(this._ui.announceUserLost({ word: this._secretWord }));
+        }
+        if (this._gameOver) {
+            this._emitGameOver(revealed);
+        }
+        if (this._gameOver && this._match) {
+            this._sendMessage(this._finishRound(revealed));
         }
     }
 
     _sendMessage(text) {
-        Agentlet.shell.sendMessageToShell(JSON.stringify({
+        this.sendToShell({
             type: 'message',
             message: text
-        }));
+        });
     }
 
-    onToolCall(toolName, params) {
-        switch (toolName) {
-            case 'startTurnAsUser':
-            case 'agentlet_startTurnAsUser':
-                if (params && typeof params.word === 'string') {
-                    this._startGame(params.word.toLowerCase());
-                    this._aiTurn = false;
-                    return {
-                        status: 'OK',
-                        message: 'Juego iniciado. Turno del usuario.',
-                        response: {}
-                    };
-                }
-                return {
-                    status: 'ERROR',
-                    message: 'Parámetro "word" faltante o inválido.'
-                };
-            case 'guessLetter':
-            case 'agentlet_guessLetter':
-                if (params && typeof params.letter === 'string') {
-                    return this._processAIGuess(params.letter.toLowerCase());
-                }
-                return {
-                    status: 'ERROR',
-                    message: 'Parámetro "letter" faltante o inválido.'
-                };
-            case 'submitSecretWord':
-            case 'agentlet_submitSecretWord':
-                if (params && typeof params.word === 'string') {
-                    this._startGameAsAI(params.word.toLowerCase());
-                    this._aiTurn = true;
-                    return {
-                        status: 'OK',
-                        message: 'Juego iniciado. Turno de la IA.',
-                        response: {}
-                    };
-                }
-                return {
-                    status: 'ERROR',
-                    message: 'Parámetro "word" faltante o inválido.'
-                };
-            case 'resetGame':
-            case 'agentlet_resetGame':
-                this._resetGame();
-                return {
-                    status: 'OK',
-                    message: 'Juego reiniciado.',
-                    response: {}
-                };
-            default:
-                return {
-                    status: 'ERROR',
-                    message: `Tool no reconocida: ${toolName}`
-                };
+    /**
+    * Guarda un evento tipado en el log del tablero y lo envía al shell. `role` es quien adivina
+    * en la ronda en curso ('user' o 'ai'), o null si no hay ronda.
+    */
+    _emitEvent(type, details = {}) {
+        const event = {
+            type: type,
+            timestamp: Date.now(),
+            role: this._secretWord ? (this._aiTurn ? 'ai' : 'user') : null,
+            state: this._getEventState(),
+            ...details
+        };
+        this._events.push(event);
+        if (this._events.length > MAX_EVENTS) this._events.shift();
+        countEvent(this._stats, event);
+        const { type: name, ...data } = event;
+        this.sendEvent(name, data);
+    }
+
+    /**
+    * Estado resumido que acompaña a cada evento; como la foto del juego, no incluye la palabra secreta.
+    */
+    _getEventState() {
+        return {
+            masked: this._getMaskedWord(),
+            remainingAttempts: this._remainingAttempts,
+            maxAttempts: this._maxAttempts,
+            guessedLetters: Array.from(this._guessedLetters),
+            incorrectLetters: Array.from(this._incorrectLetters),
+            gameOver: this._gameOver
+        };
+    }
+
+    _emitGameOver(won) {
+        this._emitEvent(won ? 'game_won' : 'game_lost', {
+            wrongGuesses: this._incorrectLetters.size + this._incorrectWords.size,
+            hintsUsed: this._hints.length
+        });
+    }
+
+    /**
+    * Estadísticas por rol de todas las partidas del tablero, a partir de los contadores.
+    */
+    _getStats() {
+        const roles = {};
+        for (const [name, counters] of Object.entries(this._stats.roles)) {
+            roles[name] = {
+                ...counters,
+                winRate: ratio(counters.won, counters.played),
+                averageWrongGuesses: ratio(counters.wrongGuesses, counters.played),
+                letterAccuracy: ratio(counters.correctLetters, counters.letterGuesses)
+            };
         }
+        return {
+            gamesPlayed: roles.user.played + roles.ai.played,
+            since: this._stats.since,
+            roles: roles
+        };
     }
 
-    _startGame(word) {
-        this._secretWord = word;
-        this._guessedLetters.clear();
-        this._incorrectLetters.clear();
-        this._remainingAttempts = this._maxAttempts;
-        this._gameOver = false;
-        this._aiTurn = false;
-        this.render();
+    /**
+    * Estadísticas y log de eventos en JSON, como los descarga el botón del panel.
+    */
+    exportStats() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            stats: this._getStats(),
+            events: this._events
+        }, null, 2);
     }
 
-    _startGameAsAI(word) {
-        this._secretWord = word;
+    _downloadStats() {
+        const blob = new Blob([this.exportStats()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.localName}-stats.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    _startGame(word, options = {}) {
+        this._beginGame(word, false, options);
+    }
+
+    _startGameAsAI(word, options = {}) {
+        this._beginGame(word, true, options);
+    }
+
+    /**
+    * Prepara una nueva ronda. `options.accentMode` tiene prioridad sobre el atributo
+    * `accent-mode` del elemento; si ninguno es válido se usa 'insensitive'. Lo mismo vale
+    * para `options.difficulty` y el atributo `difficulty`, salvo que venga `options.attempts`.
+    */
+    _beginGame(word, aiTurn, options) {
+        const requested = options.accentMode || this.getAttribute('accent-mode');
+        this._accentMode = ACCENT_MODES.includes(requested) ? requested : ACCENT_MODES[0];
+        this._setDifficulty(options.difficulty || this.getAttribute('difficulty'), options.attempts);
+        this._setWordPenalty(options.wordPenalty ?? Number(this.getAttribute('word-penalty')));
+        this._secretHidden = !!options.hidden;
+        this._secretEntry = false;
+        this._category = CATEGORIES.includes(options.category) ? options.category : null;
+        this._secretWord = this._normalizeSecret(word);
         this._guessedLetters.clear();
         this._incorrectLetters.clear();
+        this._incorrectWords.clear();
+        this._hints = [];
         this._remainingAttempts = this._maxAttempts;
         this._gameOver = false;
-        this._aiTurn = true;
-        this.render();
+        this._aiTurn = aiTurn;
+        this._gate = null;
+        this._emitEvent('game_started', { difficulty: this._difficulty, category: this._category });
+        this._update();
+    }
+
+    _setDifficulty(difficulty, attempts) {
+        if (Number.isInteger(attempts)) {
+            this._difficulty = 'custom';
+            this._maxAttempts = Math.min(Math.max(attempts, MIN_ATTEMPTS), MAX_ATTEMPTS);
+        } else {
+            this._difficulty = DIFFICULTIES[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+            this._maxAttempts = DIFFICULTIES[this._difficulty];
+        }
+    }
+
+    /**
+    * La penalización viene del parámetro `wordPenalty` o del atributo `word-penalty`.
+    */
+    _setWordPenalty(penalty) {
+        this._wordPenalty = Number.isInteger(penalty) && penalty >= 1
+            ? Math.min(penalty, MAX_ATTEMPTS)
+            : DEFAULT_WORD_PENALTY;
+    }
+
+    _getDifficultyText() {
+        return this._messages.difficulty({
+            level: this._ui.difficultyNames[this._difficulty],
+            attempts: this._maxAttempts
+        });
+    }
+
+    _getCategoryText() {
+        return this._messages.category({ category: this._ui.categoryNames[this._category] });
     }
 
     _resetGame() {
+        this._emitEvent('game_reset');
+        this._clearRound();
+        this._match = null;
+        this._update();
+    }
+
+    _clearRound() {
         this._secretWord = '';
         this._guessedLetters.clear();
         this._incorrectLetters.clear();
+        this._incorrectWords.clear();
+        this._hints = [];
         this._remainingAttempts = this._maxAttempts;
         this._gameOver = false;
         this._aiTurn = false;
-        this.render();
+        this._secretEntry = false;
+        this._secretHidden = false;
+        this._category = null;
+        this._gate = null;
+    }
+
+    _normalizeSecret(word) {
+        return word.toLowerCase().trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+    * Valida que la palabra secreta solo use letras del alfabeto del idioma activo.
+    * Devuelve una respuesta de error para la tool, o null si es válida.
+    */
+    _checkSecretWord(word) {
+        const invalid = this._getInvalidChars(this._normalizeSecret(word), this._locale);
+        if (invalid.length === 0) return null;
+        return {
+            status: 'ERROR',
+            message: this._messages.wordNotInAlphabet({ chars: invalid.join(', ') })
+        };
+    }
+
+    /**
+    * Con `validate` (o, si no se pasa, el atributo `validate-words`) la palabra secreta debe
+    * estar en el diccionario del idioma activo (ver `setDictionary` en words.js). Si el idioma no
+    * tiene diccionario o no se pudo cargar, la palabra se rechaza. Resuelve con una respuesta de
+    * error, o null.
+    */
+    async _checkDictionaryWord(word, validate = this.hasAttribute('validate-words')) {
+        if (!validate) return null;
+        const known = await this._lookUpWord(word);
+        if (known) return null;
+        return {
+            status: 'ERROR',
+            message: known === false ? this._messages.wordNotInDictionary : this._messages.dictionaryUnavailable
+        };
+    }
+
+    /**
+    * Busca la palabra en el diccionario del idioma activo: true o false, o null si no hay
+    * diccionario o falló su carga.
+    */
+    async _lookUpWord(word) {
+        try {
+            return await isDictionaryWord(this._locale, this._normalizeSecret(word));
+        } catch (e) {
+            console.log(`hangman: dictionary error: ${e}`);
+            return null;
+        }
+    }
+
+    _getInvalidChars(word, locale) {
+        const letters = this._getLetterSet(locale);
+        return [...new Set(word.split('').filter(ch => !this._isSeparator(ch) && !letters.has(ch)))];
+    }
+
+    /**
+    * Letras válidas del idioma: las del alfabeto y sus variantes acentuadas.
+    */
+    _getLetterSet(locale = this._locale) {
+        const bundle = getLocale(locale);
+        return new Set([...bundle.alphabet, ...bundle.accents]);
+    }
+
+    /**
+    * Cambia el idioma activo. Devuelve un mensaje de error si la ronda en curso
+    * usa letras que no existen en el nuevo alfabeto, o null si se cambió.
+    */
+    _setLocale(code) {
+        const locale = LOCALES[code] ? code : DEFAULT_LOCALE;
+        if (this._secretWord && !this._gameOver && this._getInvalidChars(this._secretWord, locale).length > 0) {
+            return this._messages.localeLocked;
+        }
+        this._locale = locale;
+        this._update();
+        return null;
+    }
+
+    get _messages() {
+        return getLocale(this._locale).messages;
     }
 
-    _processAIGuess(letter) {
+    get _ui() {
+        return getLocale(this._locale).ui;
+    }
+
+    _startMatch(rounds, firstGuesser) {
+        this._resetGame();
+        this._match = {
+            rounds: rounds,
+            round: 1,
+            firstGuesser: firstGuesser,
+            scores: { user: 0, ai: 0 },
+            history: [],
+            over: false,
+            winner: null
+        };
+        this._update();
+    }
+
+    /**
+    * En modo partida, quién debe adivinar en la ronda actual: 'user' o 'ai'.
+    * Las rondas impares las adivina `firstGuesser` y las pares el otro lado.
+    */
+    _getMatchGuesser() {
+        const other = this._match.firstGuesser === 'user' ? 'ai' : 'user';
+        return this._match.round % 2 === 1 ? this._match.firstGuesser : other;
+    }
+
+    /**
+    * Valida que `guesser` pueda empezar la ronda actual de la partida.
+    * Devuelve una respuesta de error para la tool, o null si puede empezar (o si no hay partida).
+    */
+    _checkMatchTurn(guesser) {
+        if (!this._match) return null;
+        if (this._match.over) {
+            return {
+                status: 'ERROR',
+                message: this._messages.matchOver
+            };
+        }
+        if (this._secretWord && !this._gameOver) {
+            return {
+                status: 'ERROR',
+                message: this._messages.roundInProgress({ round: this._match.round })
+            };
+        }
+        if (this._getMatchGuesser() !== guesser) {
+            return {
+                status: 'ERROR',
+                message: this._messages.wrongTurn({ next: this._getMatchNextStepText() })
+            };
+        }
+        return null;
+    }
+
+    _getMatchNextStepText() {
+        const { round, rounds } = this._match;
+        if (this._getMatchGuesser() === 'user') {
+            return this._messages.matchNextUser({ round, rounds });
+        }
+        return this._messages.matchNextAI({ round, rounds });
+    }
+
+    _getScoreText() {
+        return this._messages.score(this._match.scores);
+    }
+
+    /**
+    * Registra el resultado de la ronda recién terminada en la partida y avanza a la siguiente.
+    * Devuelve el texto a anunciar: resultado de la ronda, marcador y próximo paso o resultado final.
+    */
+    _finishRound(guesserWon) {
+        const match = this._match;
+        const guesser = this._aiTurn ? 'ai' : 'user';
+        const winner = guesserWon ? guesser : (guesser === 'user' ? 'ai' : 'user');
+        match.scores[winner]++;
+        match.history.push({
+            round: match.round,
+            guesser: guesser,
+            winner: winner,
+            word: this._secretHidden ? null : this._secretWord,
+            incorrectGuesses: this._incorrectLetters.size + this._incorrectWords.size
+        });
+
+        let text = `${this._messages.roundWinner({ round: match.round, winner })} ${this._getScoreText()}`;
+        const needed = Math.floor(match.rounds / 2) + 1;
+        if (match.scores[winner] >= needed || match.round >= match.rounds) {
+            match.over = true;
+            if (match.scores.user === match.scores.ai) {
+                match.winner = 'draw';
+                text += ` ${this._messages.matchDraw}`;
+            } else {
+                match.winner = match.scores.user > match.scores.ai ? 'user' : 'ai';
+                text += ` ${this._messages.matchWinner({ winner: match.winner })}`;
+            }
+        } else {
+            match.round++;
+            text += ` ${this._getMatchNextStepText()}`;
+        }
+        return text;
+    }
+
+    _processAIGuess(guess) {
         if (this._gameOver || !this._aiTurn) {
             return {
                 status: 'ERROR',
-                message: 'No es el turno de la IA o el juego ha terminado.'
+                message: this._messages.notAITurn
             };
         }
+        const gateError = this._checkGate('agentlet_guessLetter');
+        if (gateError) return gateError;
 
+        if (!this._getLetterSet().has(guess)) {
+            return {
+                status: 'ERROR',
+                message: this._messages.letterNotInAlphabet({ letter: guess })
+            };
+        }
+
+        const letter = this._letterKey(guess);
         if (this._guessedLetters.has(letter) || this._incorrectLetters.has(letter)) {
             return {
                 status: 'ERROR',
-                message: `La letra '${letter}' ya fue intentada.`
+                message: this._messages.letterRepeated({ letter })
             };
         }
 
-        let correctness;
-        if (this._secretWord.includes(letter)) {
+        const correct = this._wordHasLetter(letter);
+        if (correct) {
             this._guessedLetters.add(letter);
-            correctness = 'correcta';
         } else {
             this._incorrectLetters.add(letter);
             this._remainingAttempts--;
-            correctness = 'incorrecta';
         }
+        this._emitEvent('letter_guessed', { letter, correct });
 
-        this.render();
         const statusInfo = this._checkAIGameStatus();
+        const matchText = statusInfo.gameOver && this._match ? this._finishRound(statusInfo.won) : '';
+        if (!statusInfo.gameOver) this._openGate();
+        this._update();
 
         // Armar mensaje único para la tool_response
-        let msg = `La IA intentó la letra '${letter}', y fue ${correctness}.`;
-        msg += ` Intentos restantes: ${this._remainingAttempts}.`;
+        let msg = this._messages.aiGuess({ letter, correct, remaining: this._remainingAttempts });
+        let announcement = this._ui.announceAIGuess({ letter: letter.toUpperCase(), correct, remaining: this._remainingAttempts });
         if (statusInfo.gameOver) {
-            msg += statusInfo.won ? ` ¡La IA adivinó la palabra secreta '${this._secretWord}'!`
-                : ` La IA falló. La palabra secreta era '${this._secretWord}'.`;
+            msg += statusInfo.won ? ` ${this._messages.aiWon({ word: this._secretWord })}`
+                : ` ${this._messages.aiLost}`;
+            announcement += statusInfo.won ? ` ${this._ui.announceAIWon({ word: this._secretWord })}`
+                : ` ${this._ui.announceAILost({ word: this._secretWord })}`;
+        } else {
+            msg += ` ${this._messages.awaitApproval}`;
+            announcement += ` ${this._ui.gateWaiting}`;
+        }
+        this._announce(announcement);
+        if (matchText) {
+            msg += ` ${matchText}`;
         }
 
         return {
             status: 'OK',
             message: msg,
-            response: {
-                gameOver: statusInfo.gameOver,
-                won: !!statusInfo.won,
-                remainingAttempts: this._remainingAttempts,
-                guessedLetters: Array.from(this._guessedLetters),
-                incorrectLetters: Array.from(this._incorrectLetters),
-                masked: this._secretWord.split('').map(ch => this._guessedLetters.has(ch) ? ch : '_').join(' ')
-            }
+            response: this._getGameSnapshot()
         };
     }
 
-    _checkAIGameStatus() {
-        const revealed = this._secretWord.split('').every(char => this._guessedLetters.has(char));
-        if (revealed) {
-            this._gameOver = true;
-            return { gameOver: true, won: true };
+    _processAIWordGuess(text) {
+        if (this._gameOver || !this._aiTurn) {
+            return {
+                status: 'ERROR',
+                message: this._messages.notAITurn
+            };
+        }
+        const gateError = this._checkGate('agentlet_guessWord');
+        if (gateError) return gateError;
+
+        const word = this._normalizeSecret(text);
+        const wordError = this._checkSecretWord(word);
+        if (wordError) return wordError;
+
+        const correct = this._applyWordGuess(word);
+        if (correct === 'repeated') {
+            return {
+                status: 'ERROR',
+                message: this._messages.wordRepeated({ word })
+            };
+        }
+        this._emitEvent('word_guessed', { word, correct });
+
+        const statusInfo = this._checkAIGameStatus();
+        const matchText = statusInfo.gameOver && this._match ? this._finishRound(statusInfo.won) : '';
+        if (!statusInfo.gameOver) this._openGate();
+        this._update();
+
+        let msg = this._messages.aiWordGuess({ word, correct, penalty: this._wordPenalty, remaining: this._remainingAttempts });
+        let announcement = this._ui.announceAIWordGuess({ word, correct, remaining: this._remainingAttempts });
+        if (statusInfo.gameOver) {
+            msg += statusInfo.won ? ` ${this._messages.aiWon({ word: this._secretWord })}`
+                : ` ${this._messages.aiLost}`;
+            announcement += statusInfo.won ? ` ${this._ui.announceAIWon({ word: this._secretWord })}`
+                : ` ${this._ui.announceAILost({ word: this._secretWord })}`;
+        } else {
+            msg += ` ${this._messages.awaitApproval}`;
+            announcement += ` ${this._ui.gateWaiting}`;
+        }
+        this._announce(announcement);
+        if (matchText) {
+            msg += ` ${matchText}`;
+        }
+
+        return {
+            status: 'OK',
+            message: msg,
+            response: this._getGameSnapshot()
+        };
+    }
+
+    /**
+    * Valida que se pueda empezar una ronda nueva: no puede haber otra en curso, y el turno del
+    * usuario tampoco puede empezar mientras el tablero espera la palabra secreta para la IA.
+    * Devuelve una respuesta de error para la tool, o null.
+    */
+    _checkTurnOrder(tool, guesser) {
+        let reason = null;
+        let message = null;
+        if (this._secretWord && !this._gameOver) {
+            reason = 'round_in_progress';
+            message = this._messages.turnInProgress({ turn: this._aiTurn ? 'ai' : 'user' });
+        } else if (this._secretEntry && guesser === 'user') {
+            reason = 'secret_entry_pending';
+            message = this._messages.secretEntryPending;
         }
-        if (this._remainingAttempts <= 0) {
+        if (!reason) return null;
+        this._emitEvent('gate_blocked', { tool, reason });
+        return {
+            status: 'ERROR',
+            message: message
+        };
+    }
+
+    /**
+    * Tras cada jugada de la IA, la siguiente espera a que el usuario pulse "Continuar".
+    * Devuelve una respuesta de error para la tool mientras la compuerta esté cerrada, o null.
+    */
+    _checkGate(tool) {
+        if (!this._gate) return null;
+        this._emitEvent('gate_blocked', { tool, reason: this._gate === 'paused' ? 'paused' : 'awaiting_approval' });
+        return {
+            status: 'ERROR',
+            message: this._gate === 'paused' ? this._messages.gatePaused : this._messages.gateWaiting
+        };
+    }
+
+    _openGate() {
+        this._gate = 'waiting';
+        this._emitEvent('gate_opened');
+    }
+
+    /**
+    * Botones "Continuar" y "Pausar" del tablero: aprueban la siguiente jugada de la IA o pausan
+    * el juego hasta que el usuario pulse "Continuar".
+    */
+    _handleGate(action) {
+        if (!this._gate || this._gameOver || !this._aiTurn) return;
+        if (action === 'continue') {
+            this._gate = null;
+            this._emitEvent('gate_approved');
+            this._sendMessage(this._messages.userContinued);
+            this._announce(this._ui.announceContinued);
+        } else if (this._gate !== 'paused') {
+            this._gate = 'paused';
+            this._emitEvent('gate_paused');
+            this._sendMessage(this._messages.userPaused);
+            this._announce(this._ui.gatePaused);
+        }
+        this._update();
+    }
+
+    _checkAIGameStatus() {
+        const revealed = this._isWordRevealed();
+        if (revealed || this._remainingAttempts <= 0) {
             this._gameOver = true;
-            return { gameOver: true, won: false };
+            this._emitGameOver(revealed);
+            return { gameOver: true, won: revealed };
         }
         return { gameOver: false };
     }
 
     /**
-    * Devuelve un SVG con la horca y las partes del muñeco.
-    * Se dibujan progresivamente según `fails` (0..6):
-    * 1 cabeza, 2 tronco, 3 brazo izq, 4 brazo der, 5 pierna izq, 6 pierna der.
+    * Letra con la que se registra un intento: en modo 'insensitive' las variantes acentuadas
+    * se reducen a su letra base, pero las letras propias del alfabeto (ñ, ä, ß...) se conservan.
     */
-    _getHangmanSVG(fails) {
-        const gallows = `
-    <line x1="20"  y1="200" x2="180" y2="200" stroke="#111" stroke-width="4" />
-    <line x1="60"  y1="200" x2="60"  y2="20"  stroke="#111" stroke-width="4" />
-    <line x1="60"  y1="20"  x2="200" y2="20"  stroke="#111" stroke-width="4" />
-    <line x1="60"  y1="60"  x2="100" y2="20"  stroke="#111" stroke-width="4" />
-    <line x1="200" y1="20"  x2="200" y2="50"  stroke="#111" stroke-width="3" />
-  `;
-        const head = fails >= 1 ? `<circle cx="200" cy="68" r="18" stroke="#111" stroke-width="3" fill="none" />` : '';
-        const body = fails >= 2 ? `<line x1="200" y1="86" x2="200" y2="130" stroke="#111" stroke-width="3" />` : '';
-        const armL = fails >= 3 ? `<line x1="200" y1="98" x2="178" y2="116" stroke="#111" stroke-width="3" />` : '';
-        const armR = fails >= 4 ? `<line x1="200" y1="98" x2="222" y2="116" stroke="#111" stroke-width="3" />` : '';
-        const legL = fails >= 5 ? `<line x1="200" y1="130" x2="184" y2="162" stroke="#111" stroke-width="3" />` : '';
-        const legR = fails >= 6 ? `<line x1="200" y1="130" x2="216" y2="162" stroke="#111" stroke-width="3" />` : '';
+    _letterKey(ch) {
+        if (this._accentMode === 'strict' || getLocale(this._locale).alphabet.includes(ch)) return ch;
+        return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
 
-        return `
-    <svg class="hangman-svg" viewBox="0 0 240 220" width="100%" height="220" role="img" aria-label="Estado del ahorcado">
-      <g>
-        ${gallows}
-        ${head}${body}${armL}${armR}${legL}${legR}
-      </g>
-    </svg>
-  `;
+    _isSeparator(ch) {
+        return SEPARATORS.includes(ch);
     }
 
-    onMessageFromShell(message) {
-        console.log(`hangman: message received: ${message}`);
+    _isCharRevealed(ch) {
+        return this._isSeparator(ch) || this._guessedLetters.has(this._letterKey(ch));
     }
 
-    render() {
+    _wordHasLetter(key) {
+        return this._secretWord.split('').some(ch => !this._isSeparator(ch) && this._letterKey(ch) === key);
+    }
 
-        const fails = this._maxAttempts - this._remainingAttempts;
-        const svg = this._getHangmanSVG(fails);
-        
-        const masked = this._secretWord.split('').map(letter =>
-            this._guessedLetters.has(letter) ? letter : '_'
-        ).join(' ');
+    _isWordRevealed() {
+        return !!this._secretWord && this._secretWord.split('').every(ch => this._isCharRevealed(ch));
+    }
 
-        const incorrect = Array.from(this._incorrectLetters).join(', ');
+    _getMaskedWord() {
+        return this._secretWord.split('').map(ch => this._isCharRevealed(ch) ? ch : '_').join(' ');
+    }
 
-        const isUserTurn = !this._aiTurn && !!this._secretWord && !this._gameOver;
-        const keys = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'ñ', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z'];
-        const keyboardHTML = isUserTurn ? `
-            <div class="keyboard">
-                ${keys.map(k => {
-            const disabled = this._guessedLetters.has(k) || this._incorrectLetters.has(k) ? 'disabled' : '';
-            return `<button class="key" data-letter="${k}" ${disabled}>${k.toUpperCase()}</button>`;
-        }).join('')}
-            </div>
-        ` : '';
+    /**
+    * Versión de la palabra enmascarada para lectores de pantalla: "g, en blanco, t, o".
+    */
+    _getSpokenWord() {
+        const ui = this._ui;
+        const names = { ' ': ui.space, '-': ui.hyphen, "'": ui.apostrophe };
+        const letters = this._secretWord.split('').map(ch => {
+            if (this._isSeparator(ch)) return names[ch];
+            return this._isCharRevealed(ch) ? ch : ui.blank;
+        });
+        const length = this._secretWord.split('').filter(ch => !this._isSeparator(ch)).length;
+        return ui.spokenWord({ length, letters: letters.join(', ') });
+    }
 
-        // Compute statusText as per instructions
-        let statusText = '';
-        if (this._gameOver) {
-            statusText = "Partida terminada";
+    /**
+    * Anuncia un texto en la región ARIA live del tablero.
+    */
+    _announce(text) {
+        // Un texto idéntico al anterior no se vuelve a anunciar; se alterna un espacio final
+        this._announcement = text === this._announcement ? `${text}\u00a0` : text;
+        if (this._liveRegion) this._liveRegion.textContent = this._announcement;
+    }
+
+    /**
+    * Foto del estado del juego apta para el asistente: nunca incluye la palabra secreta.
+    */
+    _getGameSnapshot() {
+        let turn = null;
+        if (this._secretWord && !this._gameOver) {
+            turn = this._aiTurn ? 'ai' : 'user';
+        }
+        return {
+            started: !!this._secretWord,
+            turn: turn,
+            gate: this._gate,
+            gameOver: this._gameOver,
+            won: this._gameOver && this._isWordRevealed(),
+            remainingAttempts: this._remainingAttempts,
+            maxAttempts: this._maxAttempts,
+            difficulty: this._difficulty,
+            category: this._category,
+            accentMode: this._accentMode,
+            locale: this._locale,
+            guessedLetters: Array.from(this._guessedLetters),
+            incorrectLetters: Array.from(this._incorrectLetters),
+            incorrectWords: Array.from(this._incorrectWords),
+            wordPenalty: this._wordPenalty,
+            hintsUsed: this._hints.length,
+            hints: this._hints,
+            wordLength: this._secretWord.length,
+            masked: this._getMaskedWord(),
+            match: this._match ? {
+                rounds: this._match.rounds,
+                round: this._match.round,
+                nextGuesser: this._match.over ? null : this._getMatchGuesser(),
+                scores: { ...this._match.scores },
+                // Las palabras que la IA no adivinó no se le revelan
+                history: this._match.history.map(entry => entry.guesser === 'ai' && entry.winner !== 'ai'
+                    ? { ...entry, word: null }
+                    : { ...entry }),
+                over: this._match.over,
+                winner: this._match.winner
+            } : null
+        };
+    }
+
+    _update() {
+        this.setState(this._getViewState());
+        this.persistState();
+    }
+
+    /**
+    * Las palabras escritas en el tablero no se guardan: el storage lo provee el shell.
+    */
+    serializeState() {
+        return {
+            secretWord: this._secretHidden ? '' : this._secretWord,
+            secretHidden: this._secretHidden,
+            gate: this._gate,
+            secretEntry: this._secretEntry,
+            guessedLetters: Array.from(this._guessedLetters),
+            incorrectLetters: Array.from(this._incorrectLetters),
+            incorrectWords: Array.from(this._incorrectWords),
+            wordPenalty: this._wordPenalty,
+            hints: this._hints,
+            remainingAttempts: this._remainingAttempts,
+            difficulty: this._difficulty,
+            maxAttempts: this._maxAttempts,
+            category: this._category,
+            gameOver: this._gameOver,
+            aiTurn: this._aiTurn,
+            accentMode: this._accentMode,
+            locale: this._locale,
+            match: this._match,
+            stats: this._stats,
+            events: this._events.slice(-MAX_SAVED_EVENTS)
+        };
+    }
+
+    restoreState(state) {
+        this._secretWord = state.secretWord || '';
+        this._guessedLetters = new Set(state.guessedLetters || []);
+        this._incorrectLetters = new Set(state.incorrectLetters || []);
+        this._incorrectWords = new Set(state.incorrectWords || []);
+        this._hints = Array.isArray(state.hints) ? state.hints : [];
+        this._secretEntry = !!state.secretEntry;
+        this._gate = GATE_STATES.includes(state.gate) ? state.gate : null;
+        this._setWordPenalty(state.wordPenalty);
+        if (state.difficulty === 'custom') {
+            this._setDifficulty(null, state.maxAttempts);
+        } else {
+            this._setDifficulty(state.difficulty);
+        }
+        this._category = CATEGORIES.includes(state.category) ? state.category : null;
+        this._remainingAttempts = state.remainingAttempts ?? this._maxAttempts;
+        this._gameOver = !!state.gameOver;
+        this._aiTurn = !!state.aiTurn;
+        this._match = state.match || null;
+        this._events = Array.isArray(state.events) ? state.events.slice(-MAX_EVENTS) : [];
+        this._stats = restoreStats(state.stats, this._events);
+        this._accentMode = ACCENT_MODES.includes(state.accentMode) ? state.accentMode : ACCENT_MODES[0];
+        // El atributo `locale` del elemento tiene prioridad sobre el idioma guardado
+        if (!this.hasAttribute('locale') && LOCALES[state.locale]) {
+            this._locale = state.locale;
+        }
+        // Sin la palabra escrita en el tablero la ronda no puede seguir
+        if (state.secretHidden) {
+            this._clearRound();
+        }
+        this.setState(this._getViewState());
+    }
+
+    /**
+    * Piezas del dibujo visibles con `fails` fallos (0.._maxAttempts). Con 6 intentos cada fallo
+    * suma una parte del muñeco; con más, también aparecen la cuerda, el refuerzo de la horca, la
+    * cara y las manos; con menos, cada fallo dibuja varias partes a la vez para completar el
+    * muñeco al perder.
+    */
+    _getDrawnParts(fails) {
+        const stages = this._getDrawingStages();
+        const shown = Math.ceil(Math.min(fails, this._maxAttempts) * stages.length / this._maxAttempts);
+        return stages.slice(0, shown);
+    }
+
+    /**
+    * Piezas que se dibujan con los fallos, en orden de aparición.
+    */
+    _getDrawingStages() {
+        const extras = EXTRA_PARTS.slice(0, Math.max(0, this._maxAttempts - FIGURE_PARTS.length));
+        const parts = [...FIGURE_PARTS, ...extras];
+        return DRAW_ORDER.filter(part => parts.includes(part));
+    }
+
+    onMessageFromShell(message) {
+        console.log(`hangman: message received: ${message}`);
+    }
+
+    /**
+    * Estado de la vista: los datos que muestra el tablero, ya listos para dibujar. Se pasa a
+    * setState en cada cambio del juego, y render() solo actualiza las partes que cambiaron.
+    */
+    _getViewState() {
+        const ui = this._ui;
+        let status;
+        if (this._match && this._match.over) {
+            status = this._match.winner === 'draw' ? ui.statusMatchDraw
+                : ui.statusMatchWon({ winner: this._match.winner });
+        } else if (this._gameOver) {
+            status = ui.statusGameOver;
         } else if (this._aiTurn) {
-            statusText = "Turno de la IA";
+            status = ui.statusAITurn;
         } else if (this._secretWord) {
-            statusText = "Turno del usuario";
+            status = ui.statusUserTurn;
         } else {
-            statusText = "Esperando inicio";
+            status = ui.statusWaiting;
+        }
+
+        const isUserTurn = !this._aiTurn && !!this._secretWord && !this._gameOver;
+        const bundle = getLocale(this._locale);
+        // Sin normalización, las variantes acentuadas necesitan su propia tecla
+        const keys = this._accentMode === 'strict' ? [...bundle.alphabet, ...bundle.accents] : bundle.alphabet;
+
+        return {
+            locale: this._locale,
+            status: status,
+            match: this._match ? {
+                round: Math.min(this._match.round, this._match.rounds),
+                rounds: this._match.rounds,
+                scores: this._match.scores,
+                history: this._match.history.map(({ round, guesser, winner }) => ({ round, guesser, winner }))
+            } : null,
+            drawing: {
+                stages: this._getDrawingStages(),
+                parts: this._getDrawnParts(this._maxAttempts - this._remainingAttempts)
+            },
+            word: this._secretWord.split('').map(ch => this._isCharRevealed(ch) ? ch : '_'),
+            spokenWord: this._secretWord ? this._getSpokenWord() : '',
+            clues: this._hints.filter(hint => hint.type === 'clue' && hint.clue).map(hint => hint.clue),
+            info: {
+                incorrectLetters: Array.from(this._incorrectLetters),
+                incorrectWords: Array.from(this._incorrectWords),
+                remainingAttempts: this._remainingAttempts,
+                difficulty: this._difficulty,
+                maxAttempts: this._maxAttempts,
+                category: this._category
+            },
+            secretEntry: this._secretEntry,
+            gate: this._aiTurn && !this._gameOver ? this._gate : null,
+            keyboard: isUserTurn ? {
+                keys: keys,
+                disabled: keys.filter(k => this._guessedLetters.has(k) || this._incorrectLetters.has(k)),
+                hintDisabled: this._remainingAttempts <= HINT_COST
+            } : null,
+            stats: this._getStats().roles
+        };
+    }
+
+    /**
+    * Dibuja el tablero a partir de `this.state`. Con `changed` solo se tocan las partes cuyo
+    * estado cambió: las teclas y el botón de pista se habilitan en su lugar, y las piezas del
+    * dibujo y las letras recién reveladas se agregan con una animación.
+    */
+    render(changed) {
+        if (!this._boardRoot) {
+            this._renderSkeleton();
+        }
+        const full = !changed || changed.has('locale');
+        const has = key => full || changed.has(key);
+        const state = this.state;
+        const ui = this._ui;
+        const focused = this._getFocusedControl();
+
+        const regions = {};
+        if (full) {
+            regions.reset = ui.reset;
+            regions.statsTitle = ui.stats;
+        }
+        if (has('status')) regions.status = `${ui.status}: ${state.status}`;
+        if (has('match')) regions.match = this._getMatchHTML(state.match);
+        if (has('clues')) regions.clues = this._getCluesHTML(state.clues);
+        if (has('spokenWord')) regions.spokenWord = escapeHTML(state.spokenWord);
+        if (has('info')) regions.info = this._getInfoHTML(state.info);
+        if (has('gate')) regions.gate = this._getGateHTML(state.gate);
+        if (has('stats')) regions.stats = this._getStatsHTML(state.stats);
+        this.updateRegions(this._boardRoot, regions);
+
+        if (has('drawing')) this._updateDrawing(state.drawing, full);
+        if (has('word')) this._updateWord(state.word);
+        if (has('secretEntry')) this._updateSecretEntry(state.secretEntry, full);
+        if (has('keyboard')) this._updateKeyboard(state.keyboard, full);
+        this._restoreFocus(focused);
+    }
+
+    _getMatchHTML(match) {
+        if (!match) return '';
+        const ui = this._ui;
+        const rows = match.history.map(entry => `<li>${ui.historyEntry(entry)}</li>`).join('');
+        return `
+            <div class="scoreboard">${ui.scoreboard({ round: match.round, rounds: match.rounds, user: match.scores.user, ai: match.scores.ai })}</div>
+            ${rows ? `<ul class="history">${rows}</ul>` : ''}
+        `;
+    }
+
+    _getCluesHTML(clues) {
+        if (clues.length === 0) return '';
+        return `
+            <div class="clues">
+                <span>${this._ui.hints}:</span>
+                <ul>${clues.map(clue => `<li>${escapeHTML(clue)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    _getInfoHTML(info) {
+        const ui = this._ui;
+        const incorrect = info.incorrectLetters.join(', ');
+        const incorrectWords = escapeHTML(info.incorrectWords.join(', '));
+        return `
+            <div class="info">${ui.incorrectLetters}: ${incorrect || '—'}</div>
+            ${incorrectWords ? `<div class="info">${ui.incorrectWords}: ${incorrectWords}</div>` : ''}
+            <div class="info">${ui.remainingAttempts}: ${info.remainingAttempts}</div>
+            <div class="info">${ui.difficulty}: ${ui.difficultyNames[info.difficulty]} (${info.maxAttempts})</div>
+            ${info.category ? `<div class="info category">${ui.category}: ${ui.categoryNames[info.category]}</div>` : ''}
+        `;
+    }
+
+    _getGateHTML(gate) {
+        if (!gate) return '';
+        const ui = this._ui;
+        return `
+            <div class="gate" role="group" aria-label="${ui.gateLabel}">
+                <span>${gate === 'paused' ? ui.gatePaused : ui.gateWaiting}</span>
+                <button id="gateContinueBtn" type="button" data-action="gate-continue">${ui.gateContinue}</button>
+                ${gate === 'paused' ? '' : `<button id="gatePauseBtn" type="button" data-action="gate-pause">${ui.gatePause}</button>`}
+            </div>
+        `;
+    }
+
+    /**
+    * Tabla de estadísticas por rol del panel plegable.
+    */
+    _getStatsHTML(roles) {
+        const ui = this._ui;
+        const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+        const rows = ['user', 'ai'].map(role => {
+            const stats = roles[role];
+            return `
+                <tr>
+                    <th scope="row">${ui.roleNames[role]}</th>
+                    <td>${stats.played}</td>
+                    <td>${percent(stats.winRate)}</td>
+                    <td>${stats.averageWrongGuesses === null ? '—' : stats.averageWrongGuesses.toFixed(1)}</td>
+                    <td>${percent(stats.letterAccuracy)}</td>
+                </tr>
+            `;
+        }).join('');
+        return `
+            <table>
+                <thead>
+                    <tr>
+                        <th scope="col">${ui.statsRole}</th>
+                        <th scope="col">${ui.statsPlayed}</th>
+                        <th scope="col">${ui.statsWinRate}</th>
+                        <th scope="col">${ui.statsAverageWrong}</th>
+                        <th scope="col">${ui.statsLetterAccuracy}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button id="statsExportBtn" type="button" data-action="export-stats">${ui.statsExport}</button>
+        `;
+    }
+
+    /**
+    * Dibuja la horca con las piezas de `drawing.parts`. Si la horca no cambió, solo agrega las
+    * piezas nuevas (con la clase `appear`, que las anima) y quita las que ya no corresponden.
+    */
+    _updateDrawing({ stages, parts }, rebuild) {
+        const container = this.shadowRoot.querySelector('.drawing');
+        let figure = container.querySelector('.figure');
+        if (rebuild || !figure || container.dataset.stages !== stages.join(' ')) {
+            const fixed = GALLOWS_PARTS.filter(part => !stages.includes(part)).map(part => SVG_PARTS[part]).join('');
+            container.innerHTML = `
+                <svg class="hangman-svg" viewBox="0 0 240 220" width="100%" height="220" role="img" aria-label="${this._ui.drawingLabel}">
+                    <g class="gallows">
+                        <line x1="20"  y1="200" x2="180" y2="200" stroke="currentColor" stroke-width="4" />
+                        <line x1="60"  y1="200" x2="60"  y2="20"  stroke="currentColor" stroke-width="4" />
+                        <line x1="60"  y1="20"  x2="200" y2="20"  stroke="currentColor" stroke-width="4" />
+                        ${fixed}
+                    </g>
+                    <g class="figure">${parts.map(part => SVG_PARTS[part]).join('')}</g>
+                </svg>
+            `;
+            container.dataset.stages = stages.join(' ');
+            return;
+        }
+        figure.querySelectorAll('[data-part]').forEach(node => {
+            if (!parts.includes(node.dataset.part)) node.remove();
+        });
+        const drawn = new Set(Array.from(figure.querySelectorAll('[data-part]'), node => node.dataset.part));
+        for (const part of parts.filter(part => !drawn.has(part))) {
+            // Se parsea dentro de un <svg> para que los elementos queden en el espacio de nombres SVG
+            const template = document.createElement('template');
+            template.innerHTML = `<svg>${SVG_PARTS[part]}</svg>`;
+            for (const node of Array.from(template.content.firstChild.children)) {
+                node.classList.add('appear');
+                figure.appendChild(node);
+            }
+        }
+    }
+
+    /**
+    * Palabra enmascarada, una letra por `<span>`. Si la palabra es la misma, solo cambian las
+    * letras recién reveladas, que se animan con la clase `revealed`.
+    */
+    _updateWord(chars) {
+        const word = this.shadowRoot.querySelector('.word');
+        const letters = word.querySelectorAll('.letter');
+        const sameWord = letters.length === chars.length && chars.every((ch, i) => {
+            const shown = letters[i].textContent;
+            return this._isSeparator(ch) || this._isSeparator(shown) ? ch === shown : true;
+        });
+        if (!sameWord) {
+            word.innerHTML = chars.map(ch => `<span class="letter">${escapeHTML(ch)}</span>`).join(' ');
+            return;
+        }
+        chars.forEach((ch, i) => {
+            if (letters[i].textContent === ch) return;
+            letters[i].textContent = ch;
+            letters[i].classList.toggle('revealed', ch !== '_');
+        });
+    }
+
+    _updateSecretEntry(open, rebuild) {
+        const slot = this.shadowRoot.querySelector('.secret-entry-slot');
+        if (!open) {
+            slot.innerHTML = '';
+            return;
+        }
+        if (slot.firstElementChild && !rebuild) return;
+        const typed = slot.querySelector('#secretInput');
+        const ui = this._ui;
+        slot.innerHTML = `
+            <form class="secret-entry" data-action="secret-entry">
+                <label for="secretInput">${ui.secretEntryLabel}</label>
+                <input id="secretInput" type="password" autocomplete="off" spellcheck="false" />
+                <button id="secretEntryBtn" type="submit">${ui.secretEntryButton}</button>
+            </form>
+        `;
+        if (typed) slot.querySelector('#secretInput').value = typed.value;
+    }
+
+    /**
+    * Teclado virtual y campo para arriesgar la palabra, solo durante el turno del usuario. Si
+    * las teclas son las mismas, se habilitan o deshabilitan en su lugar, sin perder el foco ni
+    * lo escrito en el campo.
+    */
+    _updateKeyboard(keyboard, rebuild) {
+        const slot = this.shadowRoot.querySelector('.keyboard-slot');
+        if (!keyboard) {
+            slot.innerHTML = '';
+            return;
+        }
+        const ui = this._ui;
+        const layout = keyboard.keys.join('');
+        if (rebuild || slot.dataset.layout !== layout || !slot.firstElementChild) {
+            const typed = slot.querySelector('#wordInput');
+            slot.innerHTML = `
+                <div class="keyboard" role="group" aria-label="${ui.keyboardLabel}">
+                    ${keyboard.keys.map(k => `<button class="key" part="key" data-letter="${k}">${k.toUpperCase()}</button>`).join('')}
+                </div>
+                <form class="word-guess" data-action="guess-word">
+                    <label for="wordInput">${ui.guessWordLabel}</label>
+                    <input id="wordInput" type="text" autocomplete="off" spellcheck="false" />
+                    <button id="wordGuessBtn" type="submit">${ui.guessWordButton}</button>
+                    <button id="hintBtn" type="button" data-action="hint" aria-describedby="hintNote">${ui.hintButton}</button>
+                    <span id="hintNote" class="hint-note"></span>
+                </form>
+            `;
+            slot.dataset.layout = layout;
+            if (typed) slot.querySelector('#wordInput').value = typed.value;
         }
+        slot.querySelectorAll('.key').forEach(key => {
+            key.disabled = keyboard.disabled.includes(key.dataset.letter);
+        });
+        slot.querySelector('#hintBtn').disabled = keyboard.hintDisabled;
+        slot.querySelector('#hintNote').textContent = keyboard.hintDisabled ? ui.hintUnavailable({ cost: HINT_COST }) : '';
+    }
 
+    /**
+    * Crea la estructura fija del shadow DOM: estilos, las zonas del tablero que render() va
+    * actualizando, la región ARIA live y los listeners delegados de todos los controles.
+    */
+    _renderSkeleton() {
         this.shadowRoot.innerHTML = `
             <style>
-                .word { font-size: 32px; letter-spacing: 8px; text-align: center; }
+                ${THEME_CSS}
+                .word { font-size: 32px; letter-spacing: 8px; text-align: center; white-space: pre-wrap; }
+                .letter { display: inline-block; }
+                .letter.revealed { animation: reveal-letter 0.35s ease-out; }
+                .figure .appear { animation: draw-part 0.4s ease-out; }
+                @keyframes reveal-letter {
+                    from { transform: translateY(-8px) scale(1.4); opacity: 0; }
+                    to { transform: none; opacity: 1; }
+                }
+                @keyframes draw-part {
+                    from { opacity: 0; }
+                    to { opacity: 1; }
+                }
+                @media (prefers-reduced-motion: reduce) {
+                    .letter.revealed, .figure .appear { animation: none; }
+                }
                 .info { margin-top: 10px; font-size: 18px; text-align: center; }
                 .keyboard { margin-top: 16px; display: grid; grid-template-columns: repeat(14, 1fr); gap: 6px; }
-                .key { padding: 8px 6px; font-size: 14px; border: 1px solid #ccc; border-radius: 6px; cursor: pointer; background: #f9f9f9; }
+                .key { padding: 8px 6px; font-size: 14px; border: 1px solid var(--board-border); border-radius: 6px; cursor: pointer; background: var(--board-surface); color: var(--board-foreground); }
                 .key[disabled] { opacity: 0.5; cursor: not-allowed; }
+                .word-guess, .secret-entry { margin-top: 12px; display: flex; gap: 8px; align-items: center; justify-content: center; }
+                .gate { margin-top: 12px; display: flex; gap: 8px; align-items: center; justify-content: center; }
+                .gate button { padding: 6px 12px; font-size: 14px; cursor: pointer; }
+                .hint-note { font-size: 13px; color: var(--board-muted); }
+                .clues { margin-top: 10px; font-size: 15px; text-align: center; }
+                .clues ul { margin: 4px 0 0; padding: 0; list-style: none; font-style: italic; }
+                .stats { margin-top: 16px; font-size: 14px; text-align: center; }
+                .stats table { border-collapse: collapse; margin: 8px auto; }
+                .stats th, .stats td { padding: 2px 8px; border-bottom: 1px solid var(--board-border); }
+                .word-guess input, .secret-entry input { padding: 6px 8px; font-size: 14px; border: 1px solid var(--board-border); border-radius: 6px; background: var(--board-surface); color: var(--board-foreground); }
                 .agentlet-wrapper {
                     display: flex;
                     justify-content: center;
@@ -305,10 +1841,12 @@ class HangmanAgentlet extends Agentlet {
                 .agentlet-frame {
                     display: inline-block;
                     padding: 16px 24px;
-                    border: 2px solid #d9d9d9;
+                    border: 2px solid var(--board-border);
                     border-radius: 10px;
-                    background: #fff;
-                    box-shadow: 0 6px 20px rgba(0,0,0,0.08);
+                    background: var(--board-background);
+                    color: var(--board-foreground);
+                    font-family: var(--agentlet-font-family, inherit);
+                    box-shadow: var(--board-shadow);
                 }
                 .status-center {
                     text-align: center;
@@ -325,41 +1863,102 @@ class HangmanAgentlet extends Agentlet {
                     font-size: 14px;
                     cursor: pointer;
                 }
-                .hangman-svg { display: block; margin: 0 auto 8px auto; }
-                .word { color: #0a4dff; } /* azul, como tu referencia */
+                .match { text-align: center; margin-bottom: 12px; }
+                .scoreboard { font-size: 16px; font-weight: bold; }
+                .history { list-style: none; padding: 0; margin: 6px 0 0 0; font-size: 13px; color: var(--board-muted); }
+                .hangman-svg { display: block; margin: 0 auto 8px auto; color: var(--board-foreground); }
+                .word { color: var(--board-accent); }
+                :host(:focus) { outline: none; }
+                :host(:focus-visible) .agentlet-frame { outline: 3px solid var(--board-accent); outline-offset: 2px; }
+                .sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
             </style>
-            <div class="agentlet-wrapper">
-                <div class="agentlet-frame">
-                    <div class="status-center">Estado: ${statusText}</div>
-                    <div class="top-controls">
-                        <button id="resetBtn">Reiniciar</button>
+            <div class="board-root">
+                <div class="agentlet-wrapper">
+                    <div class="agentlet-frame" part="frame">
+                        <div class="status-center" data-region="status"></div>
+                        <div class="top-controls">
+                            <button id="resetBtn" data-action="reset" data-region="reset"></button>
+                        </div>
+                        <div class="match" data-region="match"></div>
+                        <div class="drawing" part="drawing"></div>
+                        <div class="word" part="word" aria-hidden="true"></div>
+                        <div data-region="clues"></div>
+                        <div class="sr-only" data-region="spokenWord"></div>
+                        <div data-region="info"></div>
+                        <div data-region="gate"></div>
+                        <div class="secret-entry-slot"></div>
+                        <div class="keyboard-slot"></div>
+                        <details class="stats">
+                            <summary data-region="statsTitle"></summary>
+                            <div data-region="stats"></div>
+                        </details>
                     </div>
-                    ${svg}
-                    <div class="word">${masked}</div>
-                    <div class="info">Letras incorrectas: ${incorrect || '—'}</div>
-                    <div class="info">Intentos restantes: ${this._remainingAttempts}</div>
-                    ${keyboardHTML}
                 </div>
             </div>
+            <div class="sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
         `;
-        if (isUserTurn) {
-            this.shadowRoot.querySelectorAll('.key').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    const letter = btn.getAttribute('data-letter');
-                    this._handleVirtualKey(letter);
-                });
-            });
-        }
-        // Attach click listener to reset button
-        const resetBtn = this.shadowRoot.getElementById('resetBtn');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                this.onToolCall('agentlet_resetGame', {});
-            });
-        }
+        this._boardRoot = this.shadowRoot.querySelector('.board-root');
+        this._liveRegion = this.shadowRoot.querySelector('[aria-live]');
+
+        this.delegate('click', '.key', (event, key) => this._handleVirtualKey(key.dataset.letter));
+        this.delegate('click', '[data-action="hint"]', () => this._handleHintRequest());
+        this.delegate('click', '[data-action="reset"]', () => this.onToolCall('agentlet_resetGame', {}));
+        this.delegate('click', '[data-action="export-stats"]', () => this._downloadStats());
+        this.delegate('click', '[data-action="gate-continue"]', () => this._handleGate('continue'));
+        this.delegate('click', '[data-action="gate-pause"]', () => this._handleGate('pause'));
+        this.delegate('submit', '[data-action="guess-word"]', (event, form) => {
+            event.preventDefault();
+            const input = form.querySelector('#wordInput');
+            const text = input.value;
+            input.value = '';
+            this._handleUserWordGuess(text);
+        });
+        this.delegate('submit', '[data-action="secret-entry"]', (event, form) => {
+            event.preventDefault();
+            const input = form.querySelector('#secretInput');
+            const text = input.value;
+            input.value = '';
+            this._handleSecretEntry(text);
+        });
+    }
 
-        
+    /**
+    * Identifica el control con foco antes de redibujar el tablero.
+    */
+    _getFocusedControl() {
+        const active = this.shadowRoot.activeElement;
+        if (!active) return null;
+        if (active.dataset.letter) return { letter: active.dataset.letter };
+        if (active.id) return { id: active.id };
+        return null;
+    }
+
+    /**
+    * Devuelve el foco al control equivalente tras redibujar. Si la tecla con foco quedó
+    * deshabilitada, pasa a la siguiente tecla libre; si ya no hay teclado, al propio tablero.
+    */
+    _restoreFocus(focused) {
+        if (!focused) return;
+        let target = null;
+        if (focused.letter) {
+            const keys = Array.from(this.shadowRoot.querySelectorAll('.key'));
+            const index = Math.max(0, keys.findIndex(key => key.dataset.letter === focused.letter));
+            target = keys.slice(index).concat(keys.slice(0, index)).find(key => !key.disabled);
+        } else {
+            target = this.shadowRoot.getElementById(focused.id);
+        }
+        (target || this).focus();
     }
 }
 
-Agentlet.register(HangmanAgentlet);
+Agentlet.register(HangmanAgentlet, { manifest: new URL('./agentlet_manifest.json', import.meta.url) });
@@ -0,0 +1,671 @@
+/**
+ * Paquetes de idioma del ahorcado.
+ *
+ * Cada paquete define:
+ * - name: nombre del idioma, en ese idioma.
+ * - alphabet: letras del teclado; son letras propias que nunca se reducen a otra (ñ, ä, ß...).
+ * - accents: variantes acentuadas válidas en palabras secretas. En modo 'insensitive' se
+ *   adivinan con su letra base; en modo 'strict' tienen tecla propia.
+ * - messages: textos enviados al shell y respuestas de las tools.
+ * - ui: textos del tablero.
+ *
+ * Los textos con datos variables son funciones que reciben un objeto con esos datos.
+ */
+
+const LATIN = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+export const DEFAULT_LOCALE = 'es';
+
+export const LOCALES = {
+    es: {
+        name: 'Español',
+        alphabet: [...LATIN.slice(0, 14), 'ñ', ...LATIN.slice(14)],
+        accents: ['á', 'é', 'í', 'ó', 'ú', 'ü'],
+        messages: {
+            userRepeated: ({ letter }) => `El usuario ya había intentado la letra '${letter}'. Ignorada.`,
+            userCorrect: ({ letter }) => `El usuario presionó la letra '${letter}', y fue correcta.`,
+            userIncorrect: ({ letter, remaining }) => `El usuario presionó la letra '${letter}', y fue incorrecta. Le quedan ${remaining} intentos.`,
+            userWon: ({ word }) => `¡El usuario adivinó correctamente la palabra secreta '${word}'!`,
+            userLost: ({ word }) => `El usuario falló. La palabra secreta era '${word}'.`,
+            aiGuess: ({ letter, correct, remaining }) => `La IA intentó la letra '${letter}', y fue ${correct ? 'correcta' : 'incorrecta'}. Intentos restantes: ${remaining}.`,
+            aiWon: ({ word }) => `¡La IA adivinó la palabra secreta '${word}'!`,
+            aiLost: 'La IA falló y se quedó sin intentos.',
+            gameStartedUser: 'Juego iniciado. Turno del usuario.',
+            gameStartedAI: 'Juego iniciado. Turno de la IA.',
+            gameState: 'Estado actual del juego.',
+            gameReset: 'Juego reiniciado.',
+            notAITurn: 'No es el turno de la IA o el juego ha terminado.',
+            letterRepeated: ({ letter }) => `La letra '${letter}' ya fue intentada.`,
+            letterNotInAlphabet: ({ letter }) => `La letra '${letter}' no pertenece al alfabeto del idioma actual (Español).`,
+            wordNotInAlphabet: ({ chars }) => `La palabra contiene letras que no pertenecen al alfabeto del idioma actual (Español): ${chars}.`,
+            localeChanged: ({ name }) => `Idioma cambiado a ${name}.`,
+            localeLocked: 'No se puede cambiar el idioma: la palabra secreta de la ronda en curso usa letras que no existen en ese alfabeto.',
+            matchStarted: ({ rounds, next }) => `Partida al mejor de ${rounds} iniciada. ${next}`,
+            matchOver: 'La partida ya terminó. Llama a agentlet_startMatch para jugar otra o a agentlet_resetGame para jugar sin partida.',
+            roundInProgress: ({ round }) => `La ronda ${round} todavía no terminó.`,
+            wrongTurn: ({ next }) => `No corresponde ese turno. ${next}`,
+            matchNextUser: ({ round, rounds }) => `Ronda ${round} de ${rounds}: adivina el usuario. Elige una palabra secreta y llama a agentlet_startTurnAsUser.`,
+            matchNextAI: ({ round, rounds }) => `Ronda ${round} de ${rounds}: adivina la IA. Llama a agentlet_requestSecretWord para que el usuario escriba su palabra secreta en el tablero (o agentlet_submitSecretWord si te la dice).`,
+            score: ({ user, ai }) => `Marcador: usuario ${user} - IA ${ai}.`,
+            roundWinner: ({ round, winner }) => `Ronda ${round}: gana ${winner === 'user' ? 'el usuario' : 'la IA'}.`,
+            matchDraw: '¡Partida terminada en empate!',
+            matchWinner: ({ winner }) => `¡Partida terminada! Gana ${winner === 'user' ? 'el usuario' : 'la IA'}.`,
+            difficulty: ({ level, attempts }) => `Dificultad: ${level} (${attempts} intentos).`,
+            category: ({ category }) => `Categoría: ${category}.`,
+            wordNotInDictionary: 'La palabra secreta no está en el diccionario de Español. Pide al usuario otra palabra.',
+            dictionaryUnavailable: 'No se puede validar la palabra: el tablero no tiene un diccionario de Español cargado. Vuelve a llamar con validateWord: false para aceptarla sin validar.',
+            noWordsInBank: 'No hay palabras en el banco de Español para esa categoría y dificultad.',
+            userWordCorrect: ({ word }) => `El usuario arriesgó la palabra '${word}', y fue correcta.`,
+            userWordIncorrect: ({ word, penalty, remaining }) => `El usuario arriesgó la palabra '${word}', y fue incorrecta. Pierde ${penalty} intentos; le quedan ${remaining}.`,
+            userWordRepeated: ({ word }) => `El usuario ya había arriesgado la palabra '${word}'. Ignorada.`,
+            aiWordGuess: ({ word, correct, penalty, remaining }) => `La IA arriesgó la palabra '${word}', y fue ${correct ? 'correcta' : `incorrecta (pierde ${penalty} intentos)`}. Intentos restantes: ${remaining}.`,
+            wordRepeated: ({ word }) => `La palabra '${word}' ya fue arriesgada.`,
+            wordPenalty: ({ penalty }) => `Arriesgar una palabra incorrecta cuesta ${penalty} intentos.`,
+            userHintLetter: ({ letter, remaining }) => `El usuario pidió una pista y se reveló la letra '${letter}'. Le quedan ${remaining} intentos.`,
+            userHintClue: ({ remaining }) => `El usuario pidió una pista (le quedan ${remaining} intentos). Dale una pista en texto llamando a agentlet_giveHint con {clue}, sin revelar la palabra.`,
+            hintGiven: 'Pista mostrada en el tablero.',
+            hintEmpty: 'Indica una letra (letter) o una pista en texto (clue).',
+            hintNotUserTurn: 'Solo se pueden dar pistas durante el turno del usuario.',
+            hintLetterNotInWord: ({ letter }) => `La letra '${letter}' no está en la palabra secreta.`,
+            hintsUsed: ({ count }) => `Pistas usadas: ${count}.`,
+            secretEntryRequested: 'Se pidió al usuario que escriba su palabra secreta en el tablero. Te avisará cuando empiece tu turno.',
+            secretEntered: ({ length }) => `El usuario escribió su palabra secreta en el tablero (${length} caracteres). Turno de la IA: adivina con agentlet_guessLetter.`,
+            awaitApproval: 'Antes de tu siguiente jugada, el usuario debe pulsar «Continuar» en el tablero; te llegará un mensaje cuando lo haga.',
+            gateWaiting: 'El usuario todavía no aprobó la siguiente jugada de la IA. Espera el mensaje de que pulsó «Continuar» en el tablero antes de volver a adivinar.',
+            gatePaused: 'El usuario pausó el juego. No adivines hasta recibir el mensaje de que pulsó «Continuar» en el tablero.',
+            userContinued: 'El usuario pulsó «Continuar»: haz tu siguiente jugada con agentlet_guessLetter o agentlet_guessWord.',
+            userPaused: 'El usuario pausó el juego. Espera a que pulse «Continuar» para seguir adivinando.',
+            turnInProgress: ({ turn }) => `Ya hay una ronda en curso (adivina ${turn === 'user' ? 'el usuario' : 'la IA'}). Termínala o llama a agentlet_resetGame antes de empezar otra.`,
+            secretEntryPending: 'El tablero está esperando que el usuario escriba su palabra secreta para el turno de la IA. Llama a agentlet_resetGame si quieres cambiar de turno.',
+            stats: ({ user, ai }) => `Estadísticas: el usuario ganó ${user.won} de ${user.played} partidas y la IA ${ai.won} de ${ai.played}.`
+        },
+        ui: {
+            status: 'Estado',
+            statusWaiting: 'Esperando inicio',
+            statusUserTurn: 'Turno del usuario',
+            statusAITurn: 'Turno de la IA',
+            statusGameOver: 'Partida terminada',
+            statusMatchDraw: 'Partida empatada',
+            statusMatchWon: ({ winner }) => `Partida ganada por ${winner === 'user' ? 'el usuario' : 'la IA'}`,
+            reset: 'Reiniciar',
+            incorrectLetters: 'Letras incorrectas',
+            remainingAttempts: 'Intentos restantes',
+            difficulty: 'Dificultad',
+            difficultyNames: { easy: 'fácil', normal: 'normal', hard: 'difícil', custom: 'personalizada' },
+            category: 'Categoría',
+            categoryNames: { animals: 'animales', food: 'comida', nature: 'naturaleza', objects: 'objetos' },
+            drawingLabel: 'Estado del ahorcado',
+            scoreboard: ({ round, rounds, user, ai }) => `Ronda ${round} de ${rounds} · Usuario ${user} – IA ${ai}`,
+            historyEntry: ({ round, guesser, winner }) => `Ronda ${round}: adivinó ${guesser === 'user' ? 'el usuario' : 'la IA'}, ganó ${winner === 'user' ? 'el usuario' : 'la IA'}`,
+            keyboardLabel: 'Teclado de letras',
+            spokenWord: ({ length, letters }) => `Palabra de ${length} letras: ${letters}`,
+            blank: 'en blanco',
+            space: 'espacio',
+            hyphen: 'guion',
+            apostrophe: 'apóstrofo',
+            announceCorrect: ({ letter }) => `Correcto: la ${letter} está en la palabra.`,
+            announceIncorrect: ({ letter, remaining }) => `Incorrecto: la ${letter} no está. Quedan ${remaining} intentos.`,
+            announceRepeated: ({ letter }) => `La ${letter} ya fue intentada.`,
+            announceAIGuess: ({ letter, correct, remaining }) => `La IA probó la ${letter}: ${correct ? 'correcta' : 'incorrecta'}. Quedan ${remaining} intentos.`,
+            announceUserWon: ({ word }) => `¡Ganaste! La palabra era ${word}.`,
+            announceUserLost: ({ word }) => `Perdiste. La palabra era ${word}.`,
+            announceAIWon: ({ word }) => `La IA adivinó la palabra ${word}.`,
+            announceAILost: ({ word }) => `La IA no adivinó la palabra ${word}.`,
+            guessWordLabel: 'Arriesgar la palabra completa',
+            guessWordButton: 'Arriesgar',
+            incorrectWords: 'Palabras incorrectas',
+            announceWordIncorrect: ({ word, remaining }) => `${word}: incorrecta. Quedan ${remaining} intentos.`,
+            announceWordInvalid: 'La palabra tiene letras que no son del alfabeto.',
+            announceWordRepeated: ({ word }) => `${word}: ya arriesgada.`,
+            announceAIWordGuess: ({ word, correct, remaining }) => `La IA arriesgó ${word}: ${correct ? 'correcta' : 'incorrecta'}. Quedan ${remaining} intentos.`,
+            hintButton: 'Pedir pista',
+            hints: 'Pistas',
+            announceHintLetter: ({ letter, remaining }) => `Pista: la letra ${letter}. Quedan ${remaining} intentos.`,
+            announceHintRequested: 'Pista pedida al asistente.',
+            hintUnavailable: ({ cost }) => `No quedan intentos suficientes para pedir una pista (cuesta ${cost}).`,
+            announceClue: ({ clue }) => `Pista: ${clue}`,
+            secretEntryLabel: 'Escribe tu palabra secreta (la IA no la verá)',
+            secretEntryButton: 'Empezar',
+            secretEntryInvalid: ({ chars }) => `La palabra tiene caracteres no válidos: ${chars}.`,
+            secretEntryUnknown: 'Esa palabra no está en el diccionario. Escribe otra.',
+            dictionaryUnavailable: 'No se puede validar la palabra: no hay un diccionario cargado para este idioma.',
+            stats: 'Estadísticas',
+            statsRole: 'Rol',
+            roleNames: { user: 'Usuario', ai: 'IA' },
+            statsPlayed: 'Partidas',
+            statsWinRate: 'Victorias',
+            statsAverageWrong: 'Fallos promedio',
+            statsLetterAccuracy: 'Acierto de letras',
+            statsExport: 'Exportar JSON',
+            gateContinue: 'Continuar',
+            gatePause: 'Pausar',
+            gateLabel: 'Siguiente jugada de la IA',
+            gateWaiting: '¿Dejar que la IA haga su siguiente jugada?',
+            gatePaused: 'Juego en pausa.',
+            announceContinued: 'La IA puede seguir adivinando.'
+        }
+    },
+
+    en: {
+        name: 'English',
+        alphabet: LATIN,
+        accents: [],
+        messages: {
+            userRepeated: ({ letter }) => `The user had already tried the letter '${letter}'. Ignored.`,
+            userCorrect: ({ letter }) => `The user pressed the letter '${letter}', and it was correct.`,
+            userIncorrect: ({ letter, remaining }) => `The user pressed the letter '${letter}', and it was wrong. ${remaining} attempts left.`,
+            userWon: ({ word }) => `The user correctly guessed the secret word '${word}'!`,
+            userLost: ({ word }) => `The user lost. The secret word was '${word}'.`,
+            aiGuess: ({ letter, correct, remaining }) => `The AI tried the letter '${letter}', and it was ${correct ? 'correct' : 'wrong'}. Attempts left: ${remaining}.`,
+            aiWon: ({ word }) => `The AI guessed the secret word '${word}'!`,
+            aiLost: 'The AI lost: it ran out of attempts.',
+            gameStartedUser: "Game started. User's turn.",
+            gameStartedAI: "Game started. AI's turn.",
+            gameState: 'Current game state.',
+            gameReset: 'Game reset.',
+            notAITurn: "It is not the AI's turn or the game is over.",
+            letterRepeated: ({ letter }) => `The letter '${letter}' was already tried.`,
+            letterNotInAlphabet: ({ letter }) => `The letter '${letter}' is not part of the current language's alphabet (English).`,
+            wordNotInAlphabet: ({ chars }) => `The word contains letters that are not part of the current language's alphabet (English): ${chars}.`,
+            localeChanged: ({ name }) => `Language changed to ${name}.`,
+            localeLocked: "The language cannot be changed: the current round's secret word uses letters that do not exist in that alphabet.",
+            matchStarted: ({ rounds, next }) => `Best-of-${rounds} match started. ${next}`,
+            matchOver: 'The match is over. Call agentlet_startMatch to play another one or agentlet_resetGame to play without a match.',
+            roundInProgress: ({ round }) => `Round ${round} is not over yet.`,
+            wrongTurn: ({ next }) => `It is not that side's turn. ${next}`,
+            matchNextUser: ({ round, rounds }) => `Round ${round} of ${rounds}: the user guesses. Choose a secret word and call agentlet_startTurnAsUser.`,
+            matchNextAI: ({ round, rounds }) => `Round ${round} of ${rounds}: the AI guesses. Call agentlet_requestSecretWord so the user types their secret word on the board (or agentlet_submitSecretWord if they tell you).`,
+            score: ({ user, ai }) => `Score: user ${user} - AI ${ai}.`,
+            roundWinner: ({ round, winner }) => `Round ${round}: ${winner === 'user' ? 'the user' : 'the AI'} wins.`,
+            matchDraw: 'Match over: it is a draw!',
+            matchWinner: ({ winner }) => `Match over! ${winner === 'user' ? 'The user' : 'The AI'} wins.`,
+            difficulty: ({ level, attempts }) => `Difficulty: ${level} (${attempts} attempts).`,
+            category: ({ category }) => `Category: ${category}.`,
+            wordNotInDictionary: 'The secret word is not in the English dictionary. Ask the user for another word.',
+            dictionaryUnavailable: 'The word cannot be validated: the board has no English dictionary loaded. Call again with validateWord: false to accept it without validation.',
+            noWordsInBank: 'There are no words in the English word bank for that category and difficulty.',
+            userWordCorrect: ({ word }) => `The user guessed the word '${word}', and it was correct.`,
+            userWordIncorrect: ({ word, penalty, remaining }) => `The user guessed the word '${word}', and it was wrong. They lose ${penalty} attempts; ${remaining} left.`,
+            userWordRepeated: ({ word }) => `The user had already guessed the word '${word}'. Ignored.`,
+            aiWordGuess: ({ word, correct, penalty, remaining }) => `The AI guessed the word '${word}', and it was ${correct ? 'correct' : `wrong (loses ${penalty} attempts)`}. Attempts left: ${remaining}.`,
+            wordRepeated: ({ word }) => `The word '${word}' was already guessed.`,
+            wordPenalty: ({ penalty }) => `A wrong word guess costs ${penalty} attempts.`,
+            userHintLetter: ({ letter, remaining }) => `The user asked for a hint and the letter '${letter}' was revealed. ${remaining} attempts left.`,
+            userHintClue: ({ remaining }) => `The user asked for a hint (${remaining} attempts left). Give a text clue by calling agentlet_giveHint with {clue}, without revealing the word.`,
+            hintGiven: 'Hint shown on the board.',
+            hintEmpty: 'Provide a letter (letter) or a text clue (clue).',
+            hintNotUserTurn: "Hints can only be given during the user's turn.",
+            hintLetterNotInWord: ({ letter }) => `The letter '${letter}' is not in the secret word.`,
+            hintsUsed: ({ count }) => `Hints used: ${count}.`,
+            secretEntryRequested: 'The user was asked to type their secret word on the board. You will be notified when your turn starts.',
+            secretEntered: ({ length }) => `The user typed their secret word on the board (${length} characters). AI's turn: guess with agentlet_guessLetter.`,
+            awaitApproval: 'Before your next move, the user must press "Continue" on the board; you will get a message when they do.',
+            gateWaiting: "The user has not approved the AI's next move yet. Wait for the message saying they pressed \"Continue\" on the board before guessing again.",
+            gatePaused: 'The user paused the game. Do not guess until you get the message saying they pressed "Continue" on the board.',
+            userContinued: 'The user pressed "Continue": make your next move with agentlet_guessLetter or agentlet_guessWord.',
+            userPaused: 'The user paused the game. Wait until they press "Continue" to keep guessing.',
+            turnInProgress: ({ turn }) => `A round is already in progress (${turn === 'user' ? 'the user' : 'the AI'} is guessing). Finish it or call agentlet_resetGame before starting another one.`,
+            secretEntryPending: "The board is waiting for the user to type their secret word for the AI's turn. Call agentlet_resetGame if you want to switch turns.",
+            stats: ({ user, ai }) => `Stats: the user won ${user.won} of ${user.played} games and the AI ${ai.won} of ${ai.played}.`
+        },
+        ui: {
+            status: 'Status',
+            statusWaiting: 'Waiting to start',
+            statusUserTurn: "User's turn",
+            statusAITurn: "AI's turn",
+            statusGameOver: 'Game over',
+            statusMatchDraw: 'Match drawn',
+            statusMatchWon: ({ winner }) => `Match won by ${winner === 'user' ? 'the user' : 'the AI'}`,
+            reset: 'Reset',
+            incorrectLetters: 'Wrong letters',
+            remainingAttempts: 'Attempts left',
+            difficulty: 'Difficulty',
+            difficultyNames: { easy: 'easy', normal: 'normal', hard: 'hard', custom: 'custom' },
+            category: 'Category',
+            categoryNames: { animals: 'animals', food: 'food', nature: 'nature', objects: 'objects' },
+            drawingLabel: 'Hangman state',
+            scoreboard: ({ round, rounds, user, ai }) => `Round ${round} of ${rounds} · User ${user} – AI ${ai}`,
+            historyEntry: ({ round, guesser, winner }) => `Round ${round}: ${guesser === 'user' ? 'the user' : 'the AI'} guessed, ${winner === 'user' ? 'the user' : 'the AI'} won`,
+            keyboardLabel: 'Letter keyboard',
+            spokenWord: ({ length, letters }) => `${length}-letter word: ${letters}`,
+            blank: 'blank',
+            space: 'space',
+            hyphen: 'hyphen',
+            apostrophe: 'apostrophe',
+            announceCorrect: ({ letter }) => `Correct: ${letter} is in the word.`,
+            announceIncorrect: ({ letter, remaining }) => `Wrong: ${letter} is not in the word. ${remaining} attempts left.`,
+            announceRepeated: ({ letter }) => `${letter} was already tried.`,
+            announceAIGuess: ({ letter, correct, remaining }) => `The AI tried ${letter}: ${correct ? 'correct' : 'wrong'}. ${remaining} attempts left.`,
+            announceUserWon: ({ word }) => `You won! The word was ${word}.`,
+            announceUserLost: ({ word }) => `You lost. The word was ${word}.`,
+            announceAIWon: ({ word }) => `The AI guessed the word ${word}.`,
+            announceAILost: ({ word }) => `The AI did not guess the word ${word}.`,
+            guessWordLabel: 'Guess the whole word',
+            guessWordButton: 'Guess',
+            incorrectWords: 'Wrong words',
+            announceWordIncorrect: ({ word, remaining }) => `${word}: wrong. ${remaining} attempts left.`,
+            announceWordInvalid: 'The word has letters outside the alphabet.',
+            announceWordRepeated: ({ word }) => `${word}: already guessed.`,
+            announceAIWordGuess: ({ word, correct, remaining }) => `The AI guessed ${word}: ${correct ? 'correct' : 'wrong'}. ${remaining} attempts left.`,
+            hintButton: 'Ask for a hint',
+            hints: 'Hints',
+            announceHintLetter: ({ letter, remaining }) => `Hint: the letter ${letter}. ${remaining} attempts left.`,
+            announceHintRequested: 'Hint requested from the assistant.',
+            hintUnavailable: ({ cost }) => `Not enough attempts left to ask for a hint (it costs ${cost}).`,
+            announceClue: ({ clue }) => `Hint: ${clue}`,
+            secretEntryLabel: 'Type your secret word (the AI will not see it)',
+            secretEntryButton: 'Start',
+            secretEntryInvalid: ({ chars }) => `The word has invalid characters: ${chars}.`,
+            secretEntryUnknown: 'That word is not in the dictionary. Type another one.',
+            dictionaryUnavailable: 'The word cannot be validated: no dictionary is loaded for this language.',
+            stats: 'Statistics',
+            statsRole: 'Role',
+            roleNames: { user: 'User', ai: 'AI' },
+            statsPlayed: 'Games',
+            statsWinRate: 'Win rate',
+            statsAverageWrong: 'Average wrong guesses',
+            statsLetterAccuracy: 'Letter accuracy',
+            statsExport: 'Export JSON',
+            gateContinue: 'Continue',
+            gatePause: 'Pause',
+            gateLabel: "AI's next move",
+            gateWaiting: 'Let the AI make its next move?',
+            gatePaused: 'Game paused.',
+            announceContinued: 'The AI can keep guessing.'
+        }
+    },
+
+    pt: {
+        name: 'Português',
+        alphabet: LATIN,
+        accents: ['á', 'â', 'ã', 'à', 'ç', 'é', 'ê', 'í', 'ó', 'ô', 'õ', 'ú'],
+        messages: {
+            userRepeated: ({ letter }) => `O usuário já tinha tentado a letra '${letter}'. Ignorada.`,
+            userCorrect: ({ letter }) => `O usuário apertou a letra '${letter}', e ela estava certa.`,
+            userIncorrect: ({ letter, remaining }) => `O usuário apertou a letra '${letter}', e ela estava errada. Restam ${remaining} tentativas.`,
+            userWon: ({ word }) => `O usuário acertou a palavra secreta '${word}'!`,
+            userLost: ({ word }) => `O usuário perdeu. A palavra secreta era '${word}'.`,
+            aiGuess: ({ letter, correct, remaining }) => `A IA tentou a letra '${letter}', e ela estava ${correct ? 'certa' : 'errada'}. Tentativas restantes: ${remaining}.`,
+            aiWon: ({ word }) => `A IA acertou a palavra secreta '${word}'!`,
+            aiLost: 'A IA perdeu: ficou sem tentativas.',
+            gameStartedUser: 'Jogo iniciado. Vez do usuário.',
+            gameStartedAI: 'Jogo iniciado. Vez da IA.',
+            gameState: 'Estado atual do jogo.',
+            gameReset: 'Jogo reiniciado.',
+            notAITurn: 'Não é a vez da IA ou o jogo terminou.',
+            letterRepeated: ({ letter }) => `A letra '${letter}' já foi tentada.`,
+            letterNotInAlphabet: ({ letter }) => `A letra '${letter}' não pertence ao alfabeto do idioma atual (Português).`,
+            wordNotInAlphabet: ({ chars }) => `A palavra contém letras que não pertencem ao alfabeto do idioma atual (Português): ${chars}.`,
+            localeChanged: ({ name }) => `Idioma alterado para ${name}.`,
+            localeLocked: 'Não é possível mudar o idioma: a palavra secreta da rodada atual usa letras que não existem nesse alfabeto.',
+            matchStarted: ({ rounds, next }) => `Partida de melhor de ${rounds} iniciada. ${next}`,
+            matchOver: 'A partida terminou. Chame agentlet_startMatch para jogar outra ou agentlet_resetGame para jogar sem partida.',
+            roundInProgress: ({ round }) => `A rodada ${round} ainda não terminou.`,
+            wrongTurn: ({ next }) => `Não é a vez desse lado. ${next}`,
+            matchNextUser: ({ round, rounds }) => `Rodada ${round} de ${rounds}: o usuário adivinha. Escolha uma palavra secreta e chame agentlet_startTurnAsUser.`,
+            matchNextAI: ({ round, rounds }) => `Rodada ${round} de ${rounds}: a IA adivinha. Chame agentlet_requestSecretWord para o usuário digitar a palavra secreta no tabuleiro (ou agentlet_submitSecretWord se ele a disser).`,
+            score: ({ user, ai }) => `Placar: usuário ${user} - IA ${ai}.`,
+            roundWinner: ({ round, winner }) => `Rodada ${round}: ${winner === 'user' ? 'o usuário vence' : 'a IA vence'}.`,
+            matchDraw: 'Partida terminada em empate!',
+            matchWinner: ({ winner }) => `Partida terminada! ${winner === 'user' ? 'O usuário vence' : 'A IA vence'}.`,
+            difficulty: ({ level, attempts }) => `Dificuldade: ${level} (${attempts} tentativas).`,
+            category: ({ category }) => `Categoria: ${category}.`,
+            wordNotInDictionary: 'A palavra secreta não está no dicionário de Português. Peça ao usuário outra palavra.',
+            dictionaryUnavailable: 'Não é possível validar a palavra: o tabuleiro não tem um dicionário de Português carregado. Chame de novo com validateWord: false para aceitá-la sem validar.',
+            noWordsInBank: 'Não há palavras no banco de Português para essa categoria e dificuldade.',
+            userWordCorrect: ({ word }) => `O usuário arriscou a palavra '${word}', e estava correta.`,
+            userWordIncorrect: ({ word, penalty, remaining }) => `O usuário arriscou a palavra '${word}', e estava incorreta. Perde ${penalty} tentativas; restam ${remaining}.`,
+            userWordRepeated: ({ word }) => `O usuário já tinha arriscado a palavra '${word}'. Ignorada.`,
+            aiWordGuess: ({ word, correct, penalty, remaining }) => `A IA arriscou a palavra '${word}', e estava ${correct ? 'correta' : `incorreta (perde ${penalty} tentativas)`}. Tentativas restantes: ${remaining}.`,
+            wordRepeated: ({ word }) => `A palavra '${word}' já foi arriscada.`,
+            wordPenalty: ({ penalty }) => `Arriscar uma palavra errada custa ${penalty} tentativas.`,
+            userHintLetter: ({ letter, remaining }) => `O usuário pediu uma dica e a letra '${letter}' foi revelada. Restam ${remaining} tentativas.`,
+            userHintClue: ({ remaining }) => `O usuário pediu uma dica (restam ${remaining} tentativas). Dê uma dica em texto chamando agentlet_giveHint com {clue}, sem revelar a palavra.`,
+            hintGiven: 'Dica exibida no tabuleiro.',
+            hintEmpty: 'Indique uma letra (letter) ou uma dica em texto (clue).',
+            hintNotUserTurn: 'Só é possível dar dicas durante o turno do usuário.',
+            hintLetterNotInWord: ({ letter }) => `A letra '${letter}' não está na palavra secreta.`,
+            hintsUsed: ({ count }) => `Dicas usadas: ${count}.`,
+            secretEntryRequested: 'Foi pedido ao usuário que digite a palavra secreta no tabuleiro. Você será avisado quando o seu turno começar.',
+            secretEntered: ({ length }) => `O usuário digitou a palavra secreta no tabuleiro (${length} caracteres). Turno da IA: adivinhe com agentlet_guessLetter.`,
+            awaitApproval: 'Antes da sua próxima jogada, o usuário deve clicar em «Continuar» no tabuleiro; você receberá uma mensagem quando isso acontecer.',
+            gateWaiting: 'O usuário ainda não aprovou a próxima jogada da IA. Espere a mensagem de que ele clicou em «Continuar» no tabuleiro antes de adivinhar de novo.',
+            gatePaused: 'O usuário pausou o jogo. Não adivinhe até receber a mensagem de que ele clicou em «Continuar» no tabuleiro.',
+            userContinued: 'O usuário clicou em «Continuar»: faça sua próxima jogada com agentlet_guessLetter ou agentlet_guessWord.',
+            userPaused: 'O usuário pausou o jogo. Espere até que ele clique em «Continuar» para continuar adivinhando.',
+            turnInProgress: ({ turn }) => `Já há uma rodada em andamento (${turn === 'user' ? 'o usuário' : 'a IA'} está adivinhando). Termine-a ou chame agentlet_resetGame antes de começar outra.`,
+            secretEntryPending: 'O tabuleiro está esperando que o usuário digite a palavra secreta para o turno da IA. Chame agentlet_resetGame se quiser trocar de turno.',
+            stats: ({ user, ai }) => `Estatísticas: o usuário ganhou ${user.won} de ${user.played} partidas e a IA ${ai.won} de ${ai.played}.`
+        },
+        ui: {
+            status: 'Estado',
+            statusWaiting: 'Aguardando início',
+            statusUserTurn: 'Vez do usuário',
+            statusAITurn: 'Vez da IA',
+            statusGameOver: 'Jogo terminado',
+            statusMatchDraw: 'Partida empatada',
+            statusMatchWon: ({ winner }) => `Partida vencida ${winner === 'user' ? 'pelo usuário' : 'pela IA'}`,
+            reset: 'Reiniciar',
+            incorrectLetters: 'Letras erradas',
+            remainingAttempts: 'Tentativas restantes',
+            difficulty: 'Dificuldade',
+            difficultyNames: { easy: 'fácil', normal: 'normal', hard: 'difícil', custom: 'personalizada' },
+            category: 'Categoria',
+            categoryNames: { animals: 'animais', food: 'comida', nature: 'natureza', objects: 'objetos' },
+            drawingLabel: 'Estado da forca',
+            scoreboard: ({ round, rounds, user, ai }) => `Rodada ${round} de ${rounds} · Usuário ${user} – IA ${ai}`,
+            historyEntry: ({ round, guesser, winner }) => `Rodada ${round}: ${guesser === 'user' ? 'o usuário' : 'a IA'} adivinhou, ${winner === 'user' ? 'o usuário' : 'a IA'} venceu`,
+            keyboardLabel: 'Teclado de letras',
+            spokenWord: ({ length, letters }) => `Palavra de ${length} letras: ${letters}`,
+            blank: 'em branco',
+            space: 'espaço',
+            hyphen: 'hífen',
+            apostrophe: 'apóstrofo',
+            announceCorrect: ({ letter }) => `Certo: o ${letter} está na palavra.`,
+            announceIncorrect: ({ letter, remaining }) => `Errado: o ${letter} não está na palavra. Restam ${remaining} tentativas.`,
+            announceRepeated: ({ letter }) => `O ${letter} já foi tentado.`,
+            announceAIGuess: ({ letter, correct, remaining }) => `A IA tentou o ${letter}: ${correct ? 'certo' : 'errado'}. Restam ${remaining} tentativas.`,
+            announceUserWon: ({ word }) => `Você venceu! A palavra era ${word}.`,
+            announceUserLost: ({ word }) => `Você perdeu. A palavra era ${word}.`,
+            announceAIWon: ({ word }) => `A IA acertou a palavra ${word}.`,
+            announceAILost: ({ word }) => `A IA não acertou a palavra ${word}.`,
+            guessWordLabel: 'Arriscar a palavra inteira',
+            guessWordButton: 'Arriscar',
+            incorrectWords: 'Palavras incorretas',
+            announceWordIncorrect: ({ word, remaining }) => `${word}: incorreta. Restam ${remaining} tentativas.`,
+            announceWordInvalid: 'A palavra tem letras fora do alfabeto.',
+            announceWordRepeated: ({ word }) => `${word}: já arriscada.`,
+            announceAIWordGuess: ({ word, correct, remaining }) => `A IA arriscou ${word}: ${correct ? 'correta' : 'incorreta'}. Restam ${remaining} tentativas.`,
+            hintButton: 'Pedir dica',
+            hints: 'Dicas',
+            announceHintLetter: ({ letter, remaining }) => `Dica: a letra ${letter}. Restam ${remaining} tentativas.`,
+            announceHintRequested: 'Dica pedida ao assistente.',
+            hintUnavailable: ({ cost }) => `Não restam tentativas suficientes para pedir uma dica (custa ${cost}).`,
+            announceClue: ({ clue }) => `Dica: ${clue}`,
+            secretEntryLabel: 'Digite sua palavra secreta (a IA não vai vê-la)',
+            secretEntryButton: 'Começar',
+            secretEntryInvalid: ({ chars }) => `A palavra tem caracteres inválidos: ${chars}.`,
+            secretEntryUnknown: 'Essa palavra não está no dicionário. Escreva outra.',
+            dictionaryUnavailable: 'Não é possível validar a palavra: não há um dicionário carregado para este idioma.',
+            stats: 'Estatísticas',
+            statsRole: 'Papel',
+            roleNames: { user: 'Usuário', ai: 'IA' },
+            statsPlayed: 'Partidas',
+            statsWinRate: 'Vitórias',
+            statsAverageWrong: 'Erros em média',
+            statsLetterAccuracy: 'Acerto de letras',
+            statsExport: 'Exportar JSON',
+            gateContinue: 'Continuar',
+            gatePause: 'Pausar',
+            gateLabel: 'Próxima jogada da IA',
+            gateWaiting: 'Deixar a IA fazer a próxima jogada?',
+            gatePaused: 'Jogo pausado.',
+            announceContinued: 'A IA pode continuar adivinhando.'
+        }
+    },
+
+    de: {
+        name: 'Deutsch',
+        alphabet: [...LATIN, 'ä', 'ö', 'ü', 'ß'],
+        accents: [],
+        messages: {
+            userRepeated: ({ letter }) => `Der Benutzer hatte den Buchstaben '${letter}' bereits versucht. Ignoriert.`,
+            userCorrect: ({ letter }) => `Der Benutzer hat den Buchstaben '${letter}' gedrückt, und er war richtig.`,
+            userIncorrect: ({ letter, remaining }) => `Der Benutzer hat den Buchstaben '${letter}' gedrückt, und er war falsch. Noch ${remaining} Versuche.`,
+            userWon: ({ word }) => `Der Benutzer hat das geheime Wort '${word}' erraten!`,
+            userLost: ({ word }) => `Der Benutzer hat verloren. Das geheime Wort war '${word}'.`,
+            aiGuess: ({ letter, correct, remaining }) => `Die KI hat den Buchstaben '${letter}' versucht, und er war ${correct ? 'richtig' : 'falsch'}. Verbleibende Versuche: ${remaining}.`,
+            aiWon: ({ word }) => `Die KI hat das geheime Wort '${word}' erraten!`,
+            aiLost: 'Die KI hat verloren: keine Versuche mehr.',
+            gameStartedUser: 'Spiel gestartet. Der Benutzer ist am Zug.',
+            gameStartedAI: 'Spiel gestartet. Die KI ist am Zug.',
+            gameState: 'Aktueller Spielstand.',
+            gameReset: 'Spiel zurückgesetzt.',
+            notAITurn: 'Die KI ist nicht am Zug oder das Spiel ist vorbei.',
+            letterRepeated: ({ letter }) => `Der Buchstabe '${letter}' wurde bereits versucht.`,
+            letterNotInAlphabet: ({ letter }) => `Der Buchstabe '${letter}' gehört nicht zum Alphabet der aktuellen Sprache (Deutsch).`,
+            wordNotInAlphabet: ({ chars }) => `Das Wort enthält Buchstaben, die nicht zum Alphabet der aktuellen Sprache (Deutsch) gehören: ${chars}.`,
+            localeChanged: ({ name }) => `Sprache auf ${name} umgestellt.`,
+            localeLocked: 'Die Sprache kann nicht gewechselt werden: Das geheime Wort der laufenden Runde enthält Buchstaben, die es in diesem Alphabet nicht gibt.',
+            matchStarted: ({ rounds, next }) => `Match über ${rounds} Runden (Best-of-${rounds}) gestartet. ${next}`,
+            matchOver: 'Das Match ist vorbei. Rufe agentlet_startMatch für ein neues Match oder agentlet_resetGame für ein Spiel ohne Match auf.',
+            roundInProgress: ({ round }) => `Runde ${round} ist noch nicht vorbei.`,
+            wrongTurn: ({ next }) => `Diese Seite ist nicht am Zug. ${next}`,
+            matchNextUser: ({ round, rounds }) => `Runde ${round} von ${rounds}: Der Benutzer rät. Wähle ein geheimes Wort und rufe agentlet_startTurnAsUser auf.`,
+            matchNextAI: ({ round, rounds }) => `Runde ${round} von ${rounds}: Die KI rät. Rufe agentlet_requestSecretWord auf, damit der Benutzer sein geheimes Wort auf dem Spielbrett eingibt (oder agentlet_submitSecretWord, falls er es dir sagt).`,
+            score: ({ user, ai }) => `Spielstand: Benutzer ${user} - KI ${ai}.`,
+            roundWinner: ({ round, winner }) => `Runde ${round}: ${winner === 'user' ? 'Der Benutzer' : 'Die KI'} gewinnt.`,
+            matchDraw: 'Match vorbei: Unentschieden!',
+            matchWinner: ({ winner }) => `Match vorbei! ${winner === 'user' ? 'Der Benutzer' : 'Die KI'} gewinnt.`,
+            difficulty: ({ level, attempts }) => `Schwierigkeit: ${level} (${attempts} Versuche).`,
+            category: ({ category }) => `Kategorie: ${category}.`,
+            wordNotInDictionary: 'Das geheime Wort steht nicht im deutschen Wörterbuch. Bitte den Benutzer um ein anderes Wort.',
+            dictionaryUnavailable: 'Das Wort kann nicht geprüft werden: Das Spielbrett hat kein deutsches Wörterbuch geladen. Rufe erneut mit validateWord: false auf, um es ohne Prüfung anzunehmen.',
+            noWordsInBank: 'Im deutschen Wortschatz gibt es keine Wörter für diese Kategorie und Schwierigkeit.',
+            userWordCorrect: ({ word }) => `Der Benutzer hat das Wort '${word}' geraten, und es war richtig.`,
+            userWordIncorrect: ({ word, penalty, remaining }) => `Der Benutzer hat das Wort '${word}' geraten, und es war falsch. Er verliert ${penalty} Versuche; ${remaining} übrig.`,
+            userWordRepeated: ({ word }) => `Der Benutzer hatte das Wort '${word}' schon geraten. Ignoriert.`,
+            aiWordGuess: ({ word, correct, penalty, remaining }) => `Die KI hat das Wort '${word}' geraten, und es war ${correct ? 'richtig' : `falsch (verliert ${penalty} Versuche)`}. Verbleibende Versuche: ${remaining}.`,
+            wordRepeated: ({ word }) => `Das Wort '${word}' wurde schon geraten.`,
+            wordPenalty: ({ penalty }) => `Ein falsch geratenes Wort kostet ${penalty} Versuche.`,
+            userHintLetter: ({ letter, remaining }) => `Der Benutzer hat einen Hinweis angefordert und der Buchstabe '${letter}' wurde aufgedeckt. Noch ${remaining} Versuche.`,
+            userHintClue: ({ remaining }) => `Der Benutzer hat einen Hinweis angefordert (noch ${remaining} Versuche). Gib einen Texthinweis mit agentlet_giveHint und {clue}, ohne das Wort zu verraten.`,
+            hintGiven: 'Hinweis auf dem Spielbrett angezeigt.',
+            hintEmpty: 'Gib einen Buchstaben (letter) oder einen Texthinweis (clue) an.',
+            hintNotUserTurn: 'Hinweise gibt es nur, wenn der Benutzer am Zug ist.',
+            hintLetterNotInWord: ({ letter }) => `Der Buchstabe '${letter}' kommt im geheimen Wort nicht vor.`,
+            hintsUsed: ({ count }) => `Verwendete Hinweise: ${count}.`,
+            secretEntryRequested: 'Der Benutzer wurde gebeten, sein geheimes Wort auf dem Spielbrett einzugeben. Du wirst benachrichtigt, wenn dein Zug beginnt.',
+            secretEntered: ({ length }) => `Der Benutzer hat sein geheimes Wort auf dem Spielbrett eingegeben (${length} Zeichen). Die KI ist am Zug: rate mit agentlet_guessLetter.`,
+            awaitApproval: 'Vor deinem nächsten Zug muss der Benutzer auf dem Spielbrett auf „Weiter“ drücken; du bekommst dann eine Nachricht.',
+            gateWaiting: 'Der Benutzer hat den nächsten Zug der KI noch nicht freigegeben. Warte auf die Nachricht, dass er auf dem Spielbrett „Weiter“ gedrückt hat, bevor du erneut rätst.',
+            gatePaused: 'Der Benutzer hat das Spiel pausiert. Rate nicht, bevor die Nachricht kommt, dass er auf dem Spielbrett „Weiter“ gedrückt hat.',
+            userContinued: 'Der Benutzer hat „Weiter“ gedrückt: mache deinen nächsten Zug mit agentlet_guessLetter oder agentlet_guessWord.',
+            userPaused: 'Der Benutzer hat das Spiel pausiert. Warte, bis er „Weiter“ drückt, um weiterzuraten.',
+            turnInProgress: ({ turn }) => `Es läuft bereits eine Runde (${turn === 'user' ? 'der Benutzer' : 'die KI'} rät). Beende sie oder rufe agentlet_resetGame auf, bevor du eine neue beginnst.`,
+            secretEntryPending: 'Das Spielbrett wartet darauf, dass der Benutzer sein geheimes Wort für den Zug der KI eingibt. Rufe agentlet_resetGame auf, wenn du den Zug wechseln willst.',
+            stats: ({ user, ai }) => `Statistik: Der Benutzer hat ${user.won} von ${user.played} Spielen gewonnen und die KI ${ai.won} von ${ai.played}.`
+        },
+        ui: {
+            status: 'Status',
+            statusWaiting: 'Warten auf Start',
+            statusUserTurn: 'Benutzer ist am Zug',
+            statusAITurn: 'KI ist am Zug',
+            statusGameOver: 'Spiel vorbei',
+            statusMatchDraw: 'Match unentschieden',
+            statusMatchWon: ({ winner }) => `Match gewonnen von ${winner === 'user' ? 'dem Benutzer' : 'der KI'}`,
+            reset: 'Zurücksetzen',
+            incorrectLetters: 'Falsche Buchstaben',
+            remainingAttempts: 'Verbleibende Versuche',
+            difficulty: 'Schwierigkeit',
+            difficultyNames: { easy: 'leicht', normal: 'normal', hard: 'schwer', custom: 'benutzerdefiniert' },
+            category: 'Kategorie',
+            categoryNames: { animals: 'Tiere', food: 'Essen', nature: 'Natur', objects: 'Gegenstände' },
+            drawingLabel: 'Stand des Galgenmännchens',
+            scoreboard: ({ round, rounds, user, ai }) => `Runde ${round} von ${rounds} · Benutzer ${user} – KI ${ai}`,
+            historyEntry: ({ round, guesser, winner }) => `Runde ${round}: ${guesser === 'user' ? 'Benutzer' : 'KI'} hat geraten, ${winner === 'user' ? 'Benutzer' : 'KI'} hat gewonnen`,
+            keyboardLabel: 'Buchstabentastatur',
+            spokenWord: ({ length, letters }) => `Wort mit ${length} Buchstaben: ${letters}`,
+            blank: 'leer',
+            space: 'Leerzeichen',
+            hyphen: 'Bindestrich',
+            apostrophe: 'Apostroph',
+            announceCorrect: ({ letter }) => `Richtig: ${letter} kommt im Wort vor.`,
+            announceIncorrect: ({ letter, remaining }) => `Falsch: ${letter} kommt nicht vor. Noch ${remaining} Versuche.`,
+            announceRepeated: ({ letter }) => `${letter} wurde bereits versucht.`,
+            announceAIGuess: ({ letter, correct, remaining }) => `Die KI hat ${letter} versucht: ${correct ? 'richtig' : 'falsch'}. Noch ${remaining} Versuche.`,
+            announceUserWon: ({ word }) => `Gewonnen! Das Wort war ${word}.`,
+            announceUserLost: ({ word }) => `Verloren. Das Wort war ${word}.`,
+            announceAIWon: ({ word }) => `Die KI hat das Wort ${word} erraten.`,
+            announceAILost: ({ word }) => `Die KI hat das Wort ${word} nicht erraten.`,
+            guessWordLabel: 'Ganzes Wort raten',
+            guessWordButton: 'Raten',
+            incorrectWords: 'Falsche Wörter',
+            announceWordIncorrect: ({ word, remaining }) => `${word}: falsch. Noch ${remaining} Versuche.`,
+            announceWordInvalid: 'Das Wort enthält Buchstaben außerhalb des Alphabets.',
+            announceWordRepeated: ({ word }) => `${word}: schon geraten.`,
+            announceAIWordGuess: ({ word, correct, remaining }) => `Die KI hat ${word} geraten: ${correct ? 'richtig' : 'falsch'}. Noch ${remaining} Versuche.`,
+            hintButton: 'Hinweis anfordern',
+            hints: 'Hinweise',
+            announceHintLetter: ({ letter, remaining }) => `Hinweis: der Buchstabe ${letter}. Noch ${remaining} Versuche.`,
+            announceHintRequested: 'Hinweis beim Assistenten angefordert.',
+            hintUnavailable: ({ cost }) => `Nicht genug Versuche übrig, um einen Hinweis anzufordern (kostet ${cost}).`,
+            announceClue: ({ clue }) => `Hinweis: ${clue}`,
+            secretEntryLabel: 'Gib dein geheimes Wort ein (die KI sieht es nicht)',
+            secretEntryButton: 'Starten',
+            secretEntryInvalid: ({ chars }) => `Das Wort enthält ungültige Zeichen: ${chars}.`,
+            secretEntryUnknown: 'Dieses Wort steht nicht im Wörterbuch. Gib ein anderes ein.',
+            dictionaryUnavailable: 'Das Wort kann nicht geprüft werden: Für diese Sprache ist kein Wörterbuch geladen.',
+            stats: 'Statistik',
+            statsRole: 'Rolle',
+            roleNames: { user: 'Benutzer', ai: 'KI' },
+            statsPlayed: 'Spiele',
+            statsWinRate: 'Siegquote',
+            statsAverageWrong: 'Fehlversuche im Schnitt',
+            statsLetterAccuracy: 'Buchstabentrefferquote',
+            statsExport: 'JSON exportieren',
+            gateContinue: 'Weiter',
+            gatePause: 'Pausieren',
+            gateLabel: 'Nächster Zug der KI',
+            gateWaiting: 'Soll die KI ihren nächsten Zug machen?',
+            gatePaused: 'Spiel pausiert.',
+            announceContinued: 'Die KI kann weiterraten.'
+        }
+    },
+
+    fr: {
+        name: 'Français',
+        alphabet: LATIN,
+        accents: ['à', 'â', 'ç', 'é', 'è', 'ê', 'ë', 'î', 'ï', 'ô', 'ù', 'û', 'ü', 'ÿ'],
+        messages: {
+            userRepeated: ({ letter }) => `L'utilisateur avait déjà essayé la lettre '${letter}'. Ignorée.`,
+            userCorrect: ({ letter }) => `L'utilisateur a appuyé sur la lettre '${letter}', et elle était correcte.`,
+            userIncorrect: ({ letter, remaining }) => `L'utilisateur a appuyé sur la lettre '${letter}', et elle était incorrecte. Il lui reste ${remaining} essais.`,
+            userWon: ({ word }) => `L'utilisateur a deviné le mot secret '${word}' !`,
+            userLost: ({ word }) => `L'utilisateur a perdu. Le mot secret était '${word}'.`,
+            aiGuess: ({ letter, correct, remaining }) => `L'IA a essayé la lettre '${letter}', et elle était ${correct ? 'correcte' : 'incorrecte'}. Essais restants : ${remaining}.`,
+            aiWon: ({ word }) => `L'IA a deviné le mot secret '${word}' !`,
+            aiLost: "L'IA a perdu : elle n'a plus d'essais.",
+            gameStartedUser: "Partie lancée. Au tour de l'utilisateur.",
+            gameStartedAI: "Partie lancée. Au tour de l'IA.",
+            gameState: 'État actuel de la partie.',
+            gameReset: 'Partie réinitialisée.',
+            notAITurn: "Ce n'est pas le tour de l'IA ou la partie est terminée.",
+            letterRepeated: ({ letter }) => `La lettre '${letter}' a déjà été essayée.`,
+            letterNotInAlphabet: ({ letter }) => `La lettre '${letter}' n'appartient pas à l'alphabet de la langue actuelle (Français).`,
+            wordNotInAlphabet: ({ chars }) => `Le mot contient des lettres qui n'appartiennent pas à l'alphabet de la langue actuelle (Français) : ${chars}.`,
+            localeChanged: ({ name }) => `Langue changée en ${name}.`,
+            localeLocked: "Impossible de changer de langue : le mot secret de la manche en cours utilise des lettres absentes de cet alphabet.",
+            matchStarted: ({ rounds, next }) => `Match en ${rounds} manches lancé. ${next}`,
+            matchOver: "Le match est terminé. Appelle agentlet_startMatch pour en jouer un autre ou agentlet_resetGame pour jouer sans match.",
+            roundInProgress: ({ round }) => `La manche ${round} n'est pas encore terminée.`,
+            wrongTurn: ({ next }) => `Ce n'est pas le tour de ce joueur. ${next}`,
+            matchNextUser: ({ round, rounds }) => `Manche ${round} sur ${rounds} : l'utilisateur devine. Choisis un mot secret et appelle agentlet_startTurnAsUser.`,
+            matchNextAI: ({ round, rounds }) => `Manche ${round} sur ${rounds} : l'IA devine. Appelle agentlet_requestSecretWord pour que l'utilisateur tape son mot secret sur le plateau (ou agentlet_submitSecretWord s'il te le dit).`,
+            score: ({ user, ai }) => `Score : utilisateur ${user} - IA ${ai}.`,
+            roundWinner: ({ round, winner }) => `Manche ${round} : ${winner === 'user' ? "l'utilisateur" : "l'IA"} gagne.`,
+            matchDraw: 'Match terminé : égalité !',
+            matchWinner: ({ winner }) => `Match terminé ! ${winner === 'user' ? "L'utilisateur" : "L'IA"} gagne.`,
+            difficulty: ({ level, attempts }) => `Difficulté : ${level} (${attempts} essais).`,
+            category: ({ category }) => `Catégorie : ${category}.`,
+            wordNotInDictionary: "Le mot secret n'est pas dans le dictionnaire de Français. Demande un autre mot à l'utilisateur.",
+            dictionaryUnavailable: "Impossible de valider le mot : le plateau n'a pas de dictionnaire de Français chargé. Rappelle avec validateWord: false pour l'accepter sans validation.",
+            noWordsInBank: "Il n'y a aucun mot dans la banque Français pour cette catégorie et cette difficulté.",
+            userWordCorrect: ({ word }) => `L'utilisateur a proposé le mot '${word}', et c'était correct.`,
+            userWordIncorrect: ({ word, penalty, remaining }) => `L'utilisateur a proposé le mot '${word}', et c'était incorrect. Il perd ${penalty} essais ; il en reste ${remaining}.`,
+            userWordRepeated: ({ word }) => `L'utilisateur avait déjà proposé le mot '${word}'. Ignoré.`,
+            aiWordGuess: ({ word, correct, penalty, remaining }) => `L'IA a proposé le mot '${word}', et c'était ${correct ? 'correct' : `incorrect (elle perd ${penalty} essais)`}. Essais restants : ${remaining}.`,
+            wordRepeated: ({ word }) => `Le mot '${word}' a déjà été proposé.`,
+            wordPenalty: ({ penalty }) => `Proposer un mot incorrect coûte ${penalty} essais.`,
+            userHintLetter: ({ letter, remaining }) => `L'utilisateur a demandé un indice et la lettre '${letter}' a été révélée. Il lui reste ${remaining} essais.`,
+            userHintClue: ({ remaining }) => `L'utilisateur a demandé un indice (il lui reste ${remaining} essais). Donne un indice textuel en appelant agentlet_giveHint avec {clue}, sans révéler le mot.`,
+            hintGiven: 'Indice affiché sur le plateau.',
+            hintEmpty: 'Indique une lettre (letter) ou un indice textuel (clue).',
+            hintNotUserTurn: "Les indices ne peuvent être donnés que pendant le tour de l'utilisateur.",
+            hintLetterNotInWord: ({ letter }) => `La lettre '${letter}' n'est pas dans le mot secret.`,
+            hintsUsed: ({ count }) => `Indices utilisés : ${count}.`,
+            secretEntryRequested: "On a demandé à l'utilisateur de taper son mot secret sur le plateau. Tu seras prévenu quand ton tour commencera.",
+            secretEntered: ({ length }) => `L'utilisateur a tapé son mot secret sur le plateau (${length} caractères). Tour de l'IA : devine avec agentlet_guessLetter.`,
+            awaitApproval: "Avant ton prochain coup, l'utilisateur doit appuyer sur « Continuer » sur le plateau ; tu recevras un message quand il l'aura fait.",
+            gateWaiting: "L'utilisateur n'a pas encore approuvé le prochain coup de l'IA. Attends le message indiquant qu'il a appuyé sur « Continuer » sur le plateau avant de deviner à nouveau.",
+            gatePaused: "L'utilisateur a mis la partie en pause. Ne devine pas avant de recevoir le message indiquant qu'il a appuyé sur « Continuer » sur le plateau.",
+            userContinued: "L'utilisateur a appuyé sur « Continuer » : joue ton prochain coup avec agentlet_guessLetter ou agentlet_guessWord.",
+            userPaused: "L'utilisateur a mis la partie en pause. Attends qu'il appuie sur « Continuer » pour continuer à deviner.",
+            turnInProgress: ({ turn }) => `Une manche est déjà en cours (${turn === 'user' ? "l'utilisateur" : "l'IA"} devine). Termine-la ou appelle agentlet_resetGame avant d'en commencer une autre.`,
+            secretEntryPending: "Le plateau attend que l'utilisateur tape son mot secret pour le tour de l'IA. Appelle agentlet_resetGame si tu veux changer de tour.",
+            stats: ({ user, ai }) => `Statistiques : l'utilisateur a gagné ${user.won} parties sur ${user.played} et l'IA ${ai.won} sur ${ai.played}.`
+        },
+        ui: {
+            status: 'État',
+            statusWaiting: 'En attente',
+            statusUserTurn: "Tour de l'utilisateur",
+            statusAITurn: "Tour de l'IA",
+            statusGameOver: 'Partie terminée',
+            statusMatchDraw: 'Match nul',
+            statusMatchWon: ({ winner }) => `Match gagné par ${winner === 'user' ? "l'utilisateur" : "l'IA"}`,
+            reset: 'Recommencer',
+            incorrectLetters: 'Lettres incorrectes',
+            remainingAttempts: 'Essais restants',
+            difficulty: 'Difficulté',
+            difficultyNames: { easy: 'facile', normal: 'normale', hard: 'difficile', custom: 'personnalisée' },
+            category: 'Catégorie',
+            categoryNames: { animals: 'animaux', food: 'nourriture', nature: 'nature', objects: 'objets' },
+            drawingLabel: 'État du pendu',
+            scoreboard: ({ round, rounds, user, ai }) => `Manche ${round} sur ${rounds} · Utilisateur ${user} – IA ${ai}`,
+            historyEntry: ({ round, guesser, winner }) => `Manche ${round} : ${guesser === 'user' ? "l'utilisateur" : "l'IA"} a deviné, ${winner === 'user' ? "l'utilisateur" : "l'IA"} a gagné`,
+            keyboardLabel: 'Clavier de lettres',
+            spokenWord: ({ length, letters }) => `Mot de ${length} lettres : ${letters}`,
+            blank: 'vide',
+            space: 'espace',
+            hyphen: 'trait d’union',
+            apostrophe: 'apostrophe',
+            announceCorrect: ({ letter }) => `Correct : le ${letter} est dans le mot.`,
+            announceIncorrect: ({ letter, remaining }) => `Incorrect : le ${letter} n'est pas dans le mot. Il reste ${remaining} essais.`,
+            announceRepeated: ({ letter }) => `Le ${letter} a déjà été essayé.`,
+            announceAIGuess: ({ letter, correct, remaining }) => `L'IA a essayé le ${letter} : ${correct ? 'correct' : 'incorrect'}. Il reste ${remaining} essais.`,
+            announceUserWon: ({ word }) => `Gagné ! Le mot était ${word}.`,
+            announceUserLost: ({ word }) => `Perdu. Le mot était ${word}.`,
+            announceAIWon: ({ word }) => `L'IA a deviné le mot ${word}.`,
+            announceAILost: ({ word }) => `L'IA n'a pas deviné le mot ${word}.`,
+            guessWordLabel: 'Proposer le mot entier',
+            guessWordButton: 'Proposer',
+            incorrectWords: 'Mots incorrects',
+            announceWordIncorrect: ({ word, remaining }) => `${word} : incorrect. Il reste ${remaining} essais.`,
+            announceWordInvalid: 'Le mot contient des lettres hors de l’alphabet.',
+            announceWordRepeated: ({ word }) => `${word} : déjà proposé.`,
+            announceAIWordGuess: ({ word, correct, remaining }) => `L'IA a proposé ${word} : ${correct ? 'correct' : 'incorrect'}. Il reste ${remaining} essais.`,
+            hintButton: 'Demander un indice',
+            hints: 'Indices',
+            announceHintLetter: ({ letter, remaining }) => `Indice : la lettre ${letter}. Il reste ${remaining} essais.`,
+            announceHintRequested: 'Indice demandé à l’assistant.',
+            hintUnavailable: ({ cost }) => `Il ne reste pas assez d’essais pour demander un indice (coût : ${cost}).`,
+            announceClue: ({ clue }) => `Indice : ${clue}`,
+            secretEntryLabel: 'Tape ton mot secret (l’IA ne le verra pas)',
+            secretEntryButton: 'Commencer',
+            secretEntryInvalid: ({ chars }) => `Le mot contient des caractères invalides : ${chars}.`,
+            secretEntryUnknown: "Ce mot n'est pas dans le dictionnaire. Écris-en un autre.",
+            dictionaryUnavailable: "Impossible de valider le mot : aucun dictionnaire n'est chargé pour cette langue.",
+            stats: 'Statistiques',
+            statsRole: 'Rôle',
+            roleNames: { user: 'Utilisateur', ai: 'IA' },
+            statsPlayed: 'Parties',
+            statsWinRate: 'Victoires',
+            statsAverageWrong: 'Erreurs en moyenne',
+            statsLetterAccuracy: 'Précision des lettres',
+            statsExport: 'Exporter en JSON',
+            gateContinue: 'Continuer',
+            gatePause: 'Pause',
+            gateLabel: "Prochain coup de l'IA",
+            gateWaiting: "Laisser l'IA jouer son prochain coup ?",
+            gatePaused: 'Partie en pause.',
+            announceContinued: "L'IA peut continuer à deviner."
+        }
+    }
+};
+
+/**
+ * Devuelve el paquete del idioma pedido, o el del idioma por defecto si no existe.
+ */
+export function getLocale(code) {
+    return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+}
@@ -0,0 +1,261 @@
+/**
+ * Banco de palabras del ahorcado.
+ *
+ * Organizado por idioma, categoría y dificultad: las palabras fáciles son cortas y comunes y
+ * las difíciles, largas o con letras poco frecuentes. Las categorías son las mismas en todos los
+ * idiomas; sus nombres traducidos están en `ui.categoryNames` de cada paquete de locales.js.
+ *
+ * Las palabras secretas se pueden validar contra el diccionario de cada idioma. El tablero no trae
+ * diccionarios: la página registra el de cada idioma con `setDictionary` (una lista de palabras,
+ * la URL de un archivo con una palabra por línea o una función que los cargue), y se carga la
+ * primera vez que se valida una palabra en ese idioma. Las palabras del banco siempre se aceptan.
+ */
+
+import { LOCALES } from './locales.js';
+
+export const CATEGORIES = ['animals', 'food', 'nature', 'objects'];
+
+export const WORD_BANK = {
+    es: {
+        animals: {
+            easy: ['gato', 'perro', 'pato', 'oso', 'vaca', 'pez', 'león', 'lobo'],
+            normal: ['caballo', 'conejo', 'tortuga', 'ballena', 'jirafa', 'ardilla', 'pingüino'],
+            hard: ['murciélago', 'hipopótamo', 'cocodrilo', 'rinoceronte', 'escarabajo', 'oso hormiguero']
+        },
+        food: {
+            easy: ['pan', 'sopa', 'arroz', 'queso', 'leche', 'miel', 'uva'],
+            normal: ['manzana', 'tortilla', 'galleta', 'naranja', 'ensalada', 'lentejas'],
+            hard: ['berenjena', 'empanadilla', 'zanahoria', 'albóndiga', 'mermelada', 'pan de ajo']
+        },
+        nature: {
+            easy: ['sol', 'luna', 'mar', 'río', 'nube', 'flor', 'lago'],
+            normal: ['montaña', 'bosque', 'estrella', 'volcán', 'desierto', 'cascada'],
+            hard: ['relámpago', 'archipiélago', 'arco iris', 'glaciar', 'acantilado', 'huracán']
+        },
+        objects: {
+            easy: ['mesa', 'silla', 'casa', 'llave', 'vaso', 'taza', 'libro'],
+            normal: ['ventana', 'lámpara', 'cuchara', 'bicicleta', 'paraguas', 'reloj'],
+            hard: ['destornillador', 'sacacorchos', 'microondas', 'ordenador', 'caleidoscopio', 'cepillo de dientes']
+        }
+    },
+    en: {
+        animals: {
+            easy: ['cat', 'dog', 'duck', 'cow', 'fish', 'bear', 'wolf', 'lion'],
+            normal: ['horse', 'rabbit', 'turtle', 'whale', 'giraffe', 'squirrel', 'penguin'],
+            hard: ['hippopotamus', 'crocodile', 'rhinoceros', 'chameleon', 'porcupine', 'sea horse']
+        },
+        food: {
+            easy: ['bread', 'soup', 'rice', 'milk', 'cake', 'egg', 'pie'],
+            normal: ['apple', 'cookie', 'orange', 'cheese', 'pancake', 'sandwich'],
+            hard: ['aubergine', 'marmalade', 'broccoli', 'zucchini', 'quesadilla', 'ice cream']
+        },
+        nature: {
+            easy: ['sun', 'moon', 'sea', 'sky', 'tree', 'lake', 'rain'],
+            normal: ['mountain', 'forest', 'river', 'volcano', 'desert', 'island'],
+            hard: ['archipelago', 'waterfall', 'lightning', 'avalanche', 'glacier', 'rainbow']
+        },
+        objects: {
+            easy: ['box', 'cup', 'key', 'book', 'door', 'lamp', 'chair'],
+            normal: ['window', 'pencil', 'spoon', 'bicycle', 'umbrella', 'clock'],
+            hard: ['screwdriver', 'corkscrew', 'microwave', 'kaleidoscope', 'typewriter', 'toothbrush']
+        }
+    },
+    pt: {
+        animals: {
+            easy: ['gato', 'cão', 'pato', 'vaca', 'peixe', 'urso', 'lobo'],
+            normal: ['cavalo', 'coelho', 'tartaruga', 'baleia', 'girafa', 'esquilo', 'pinguim'],
+            hard: ['morcego', 'hipopótamo', 'crocodilo', 'rinoceronte', 'tamanduá', 'cavalo-marinho']
+        },
+        food: {
+            easy: ['pão', 'sopa', 'arroz', 'queijo', 'leite', 'mel', 'uva'],
+            normal: ['maçã', 'bolacha', 'laranja', 'salada', 'feijão', 'banana'],
+            hard: ['berinjela', 'marmelada', 'cenoura', 'almôndega', 'brigadeiro', 'pão de queijo']
+        },
+        nature: {
+            easy: ['sol', 'lua', 'mar', 'rio', 'nuvem', 'flor', 'lago'],
+            normal: ['montanha', 'floresta', 'estrela', 'vulcão', 'deserto', 'cachoeira'],
+            hard: ['relâmpago', 'arquipélago', 'arco-íris', 'geleira', 'furacão', 'penhasco']
+        },
+        objects: {
+            easy: ['mesa', 'casa', 'chave', 'copo', 'livro', 'porta'],
+            normal: ['janela', 'cadeira', 'colher', 'bicicleta', 'guarda-chuva', 'relógio'],
+            hard: ['chave de fenda', 'saca-rolhas', 'micro-ondas', 'caleidoscópio', 'computador', 'escova de dentes']
+        }
+    },
+    de: {
+        animals: {
+            easy: ['katze', 'hund', 'ente', 'kuh', 'fisch', 'bär', 'wolf'],
+            normal: ['pferd', 'hase', 'schildkröte', 'wal', 'giraffe', 'pinguin'],
+            hard: ['fledermaus', 'nilpferd', 'krokodil', 'nashorn', 'eichhörnchen', 'ameisenbär']
+        },
+        food: {
+            easy: ['brot', 'suppe', 'reis', 'milch', 'ei', 'käse'],
+            normal: ['apfel', 'keks', 'orange', 'kuchen', 'salat', 'brezel'],
+            hard: ['aubergine', 'marmelade', 'karotte', 'knödel', 'sauerkraut', 'spätzle']
+        },
+        nature: {
+            easy: ['sonne', 'mond', 'meer', 'baum', 'see', 'fluss'],
+            normal: ['berg', 'wald', 'stern', 'vulkan', 'wüste', 'insel'],
+            hard: ['regenbogen', 'gletscher', 'wasserfall', 'lawine', 'gewitter', 'schneeflocke']
+        },
+        objects: {
+            easy: ['tisch', 'stuhl', 'haus', 'tür', 'buch', 'tasse'],
+            normal: ['fenster', 'lampe', 'löffel', 'fahrrad', 'uhr', 'schlüssel'],
+            hard: ['schraubenzieher', 'korkenzieher', 'mikrowelle', 'regenschirm', 'zahnbürste', 'straßenbahn']
+        }
+    },
+    fr: {
+        animals: {
+            easy: ['chat', 'chien', 'vache', 'ours', 'loup', 'lion', 'poule'],
+            normal: ['cheval', 'lapin', 'tortue', 'baleine', 'girafe', 'écureuil', 'pingouin'],
+            hard: ['chauve-souris', 'hippopotame', 'crocodile', 'rhinocéros', 'hérisson', 'caméléon']
+        },
+        food: {
+            easy: ['pain', 'soupe', 'riz', 'lait', 'miel', 'oeuf'],
+            normal: ['pomme', 'fromage', 'gâteau', 'orange', 'salade', 'crêpe'],
+            hard: ['aubergine', 'confiture', 'courgette', 'croissant', 'ratatouille', "pomme d'amour"]
+        },
+        nature: {
+            easy: ['soleil', 'lune', 'mer', 'ciel', 'lac', 'fleur'],
+            normal: ['montagne', 'forêt', 'étoile', 'volcan', 'désert', 'rivière'],
+            hard: ['archipel', 'arc-en-ciel', 'cascade', 'avalanche', 'glacier', 'ouragan']
+        },
+        objects: {
+            easy: ['table', 'chaise', 'clé', 'livre', 'porte', 'tasse'],
+            normal: ['fenêtre', 'lampe', 'cuillère', 'vélo', 'parapluie', 'horloge'],
+            hard: ['tournevis', 'tire-bouchon', 'kaléidoscope', 'ordinateur', 'brosse à dents', 'micro-ondes']
+        }
+    }
+};
+
+const dictionaries = {};
+
+/**
+ * Elige una palabra al azar del banco.
+ *
+ * @param {string} locale - Código del idioma.
+ * @param {Object} [options]
+ * @param {string} [options.category] - Categoría; si falta se elige una al azar.
+ * @param {string} [options.difficulty='normal'] - 'easy', 'normal' o 'hard'.
+ * @param {Function} [options.random=Math.random] - Generador de números aleatorios.
+ * @returns {{word: string, category: string}|null} La palabra y su categoría, o null si no hay palabras.
+ */
+export function pickWord(locale, { category, difficulty = 'normal', random = Math.random } = {}) {
+    const bank = WORD_BANK[locale];
+    if (!bank) return null;
+    const categories = category ? [category] : CATEGORIES.filter(c => bank[c]);
+    const chosen = categories[Math.floor(random() * categories.length)];
+    const words = (bank[chosen] && bank[chosen][difficulty]) || [];
+    if (words.length === 0) return null;
+    return { word: words[Math.floor(random() * words.length)], category: chosen };
+}
+
+/**
+ * Registra el diccionario de un idioma, reemplazando el anterior.
+ *
+ * @param {string} locale - Código del idioma.
+ * @param {Iterable<string>|string|URL|Function} source - Las palabras, la URL de un archivo de
+ *        texto con una palabra por línea, o una función que devuelva cualquiera de las dos (o una
+ *        Promise de ellas); las URL y las funciones se cargan al validar la primera palabra.
+ */
+export function setDictionary(locale, source) {
+    dictionaries[locale] = { source, loading: null };
+}
+
+/**
+ * Indica si un idioma tiene diccionario registrado.
+ *
+ * @param {string} locale - Código del idioma.
+ * @returns {boolean} true si se registró con `setDictionary`.
+ */
+export function hasDictionary(locale) {
+    return Boolean(dictionaries[locale]);
+}
+
+/**
+ * Carga el diccionario de un idioma, si todavía no estaba cargado. Si la carga falla, se vuelve a
+ * intentar en la próxima validación.
+ *
+ * @param {string} locale - Código del idioma.
+ * @returns {Promise<Set<string>|null>} Las palabras plegadas, o null si el idioma no tiene diccionario.
+ */
+export function loadDictionary(locale) {
+    const dictionary = dictionaries[locale];
+    if (!dictionary) return Promise.resolve(null);
+    if (!dictionary.loading) {
+        dictionary.loading = readWords(dictionary.source).then(words => {
+            const folded = new Set();
+            for (const word of words) {
+                if (word.trim()) folded.add(foldWord(word, locale));
+            }
+            return folded;
+        });
+        dictionary.loading.catch(() => {
+            if (dictionaries[locale] === dictionary) dictionary.loading = null;
+        });
+    }
+    return dictionary.loading;
+}
+
+/**
+ * Indica si la palabra (o cada palabra de una frase) está en el diccionario del idioma o en el
+ * banco. La comparación no distingue mayúsculas ni tildes, pero sí las letras propias del alfabeto
+ * del idioma: en español 'año' no es 'ano'.
+ *
+ * @param {string} locale - Código del idioma.
+ * @param {string} text - Palabra o frase; las frases del banco también se aceptan enteras.
+ * @returns {Promise<boolean|null>} true si es una palabra conocida, o null si el idioma no tiene
+ *          diccionario.
+ * @throws {Error} Si el diccionario no se pudo cargar.
+ */
+export async function isDictionaryWord(locale, text) {
+    const dictionary = await loadDictionary(locale);
+    if (!dictionary) return null;
+    const bank = getBankWords(locale);
+    const known = word => dictionary.has(word) || bank.has(word);
+    const folded = foldWord(text, locale);
+    if (known(folded)) return true;
+    const parts = folded.split(/[ '-]/).filter(Boolean);
+    return parts.length > 1 && parts.every(known);
+}
+
+// Las URL se leen con fetch; una función puede devolver la lista, una URL o una Promise de ellas.
+async function readWords(source) {
+    const value = typeof source === 'function' ? await source() : source;
+    if (typeof value === 'string' || value instanceof URL) {
+        const response = await fetch(value);
+        if (!response.ok) throw new Error(`Cannot load dictionary ${value}: HTTP ${response.status}`);
+        return (await response.text()).split(/\r?\n/);
+    }
+    return Array.from(value);
+}
+
+const bankWords = {};
+
+/**
+ * Palabras del banco de un idioma, plegadas; las frases también aportan cada una de sus palabras.
+ */
+function getBankWords(locale) {
+    if (!bankWords[locale]) {
+        const words = new Set();
+        for (const levels of Object.values(WORD_BANK[locale] || {})) {
+            for (const word of Object.values(levels).flat()) {
+                words.add(foldWord(word, locale));
+                word.split(/[ '-]/).forEach(part => words.add(foldWord(part, locale)));
+            }
+        }
+        bankWords[locale] = words;
+    }
+    return bankWords[locale];
+}
+
+/**
+ * Forma de comparación de una palabra: en minúsculas y sin tildes, como las reduce el modo de
+ * acentos 'insensitive', salvo las letras propias del alfabeto del idioma (ñ, ä, ß...).
+ */
+function foldWord(word, locale) {
+    const alphabet = LOCALES[locale] ? LOCALES[locale].alphabet : [];
+    return Array.from(word.toLowerCase().trim().replace(/\s+/g, ' ').normalize('NFC'))
+        .map(ch => alphabet.includes(ch) ? ch : ch.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+        .join('');
+}
@@ -16,6 +16,84 @@
  * gigonzalezs [gb@autanalabs.com]
  */
 
+import { checkManifest, normalizedTagName, validateTagName } from './manifest-checker.js';
+
+/**
+ * Agentlet Shell Protocol
+ * 
+ * Version 1.1 wraps every message, in both directions, in an envelope:
+ * {
+ *   protocolVersion: '1.1',
+ *   type: 'tool_call',          // see the types below
+ *   id: 'msg-...',              // unique message ID
+ *   correlationId: 'call-1',    // optional: ID of the message being answered
+ *   timestamp: 1700000000000,   // milliseconds since the epoch
+ *   instanceId: '...',          // agentlet element that sent or should receive the message
+ *   payload: { ... }
+ * }
+ * 
+ * Agentlet -> shell:
+ * - hello: `{ protocolVersions, capabilities, agentlets }`, sent once when the first agentlet registers.
+ * - tool_response: `{ tool, params, response }`, with `correlationId` set to the tool call ID.
+ * - message: `{ message }`, free-text notifications from the agentlet.
+ * - event: `{ event, timestamp, ... }`, typed notifications whose names and fields each agentlet defines.
+ * - instance_connected: `{ tagName, agentlet }`, sent when an element is added to the document;
+ *   `agentlet` is its microManifest.
+ * - instance_disconnected: `{ tagName }`, sent when the element is removed from the document.
+ * - instance_adopted: `{ tagName }`, sent when the element is moved to another document.
+ * - error: `{ message }`, protocol errors such as an unsupported version. Manifest problems found
+ *   by `register` or `loadManifest` add `{ agentlet, problems }`: the microManifest and the list of problems.
+ *   A tool call reusing the ID of a call still in progress adds `{ tool, callId }` and is not run;
+ *   the pending call is answered as usual.
+ * 
+ * Shell -> agentlet (through the 'message' attribute or the transport):
+ * - welcome: `{ protocolVersion, capabilities }`, the shell's answer to hello.
+ * - tool_call: `{ tool, params, timeout }`; the envelope `id` is the call ID. When `timeout` expires
+ *   the shell gets an `ERROR` tool_response and the handler's `signal` is aborted; a result the
+ *   handler returns afterwards is discarded, never sent as a second response.
+ * - message: `{ message }`, passed to onMessageFromShell.
+ * - theme: `{ name, properties }`, see `applyTheme`. Without `instanceId` it applies to every
+ *   element and to those connected later.
+ * 
+ * Handshake: the shell answers hello with welcome, choosing a version from `protocolVersions`
+ * (or listing its own in `payload.protocolVersions`). A shell exposing `window.agentlet_shell`
+ * may instead implement `handshake(hello)` returning the welcome (or a Promise of it).
+ * If the shell does not answer within `Agentlet.handshakeTimeout` (with a welcome message or from
+ * `handshake()`), has no `handshake` method, or shares no version with the agentlet, the agentlet
+ * downgrades to protocol 1.0: the legacy `{ tool, params, id }` instructions and `{ type, ... }`
+ * messages without envelope.
+ * Outbound envelopes are held until the handshake finishes, so they always use the negotiated format.
+ * 
+ * Instances: every message an element sends carries its `instanceId` (the envelope field, or a
+ * top-level `instanceId` in the legacy format). Several elements of the same agentlet can share
+ * a page; the shell addresses one of them by setting `instanceId` on its messages, and elements
+ * ignore messages addressed to another instance.
+ */
+
+/**
+ * Protocol version spoken by this library.
+ */
+export const PROTOCOL_VERSION = '1.1';
+
+/**
+ * Protocol versions this library can speak, newest first. '1.0' is the legacy format.
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['1.1', '1.0'];
+
+/**
+ * Capabilities announced to the shell in the hello message.
+ */
+export const AGENTLET_CAPABILITIES = ['async-tools', 'tool-validation', 'tool-registry', 'state-persistence', 'events', 'theming'];
+
+/**
+ * Theme names agentlets are expected to style through `:host([theme="..."])`. Without a `theme`
+ * attribute (or with "auto") they should follow `prefers-color-scheme`. To fit the host's
+ * design, agentlets should also read these custom properties before their built-in colors:
+ * `--agentlet-font-family`, `--agentlet-background`, `--agentlet-foreground`, `--agentlet-muted`,
+ * `--agentlet-accent`, `--agentlet-border`, `--agentlet-surface` and `--agentlet-shadow`.
+ */
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
 /**
  * Agentlet Web Component
  * 
@@ -25,18 +103,44 @@
  * Key Features:
  * - Listens for attribute changes (specifically 'message') and processes JSON-based instructions.
  * - Delegates tool invocations and messages to subclass implementations.
+ * - Runs tool calls asynchronously, with call IDs, timeouts and structured error responses.
+ * - Validates tool parameters against the JSON Schemas declared in the manifest.
+ * - Dispatches tool calls declared in a static tool registry and emits the manifest `tools` section.
+ * - Saves and restores the agentlet state through the storage provided by the shell.
+ * - Talks to the shell through a pluggable transport (window global, DOM events or postMessage),
+ *   buffering outbound messages until a shell attaches.
+ * - Negotiates the protocol version with the shell and wraps messages in versioned envelopes
+ *   (see "Agentlet Shell Protocol" above), falling back to the legacy format for older shells.
+ * - Strips the tool params and response fields marked as sensitive from every `tool_response`.
+ * - Sends typed events to the shell alongside the free-text messages.
+ * - Gives each element a stable instance ID, stamped on everything it sends and used to route
+ *   inbound messages, and tells the shell when an element connects, disconnects or is adopted.
+ * - Keeps a reactive view state: `setState` schedules one batched render with the keys that
+ *   changed, and `updateRegions` / `delegate` let render() patch the shadow DOM in place.
+ * - Applies the theme pushed by the shell (`Agentlet.setTheme` or a `theme` message) to every
+ *   element: its name goes to the `theme` attribute and its CSS custom properties to the host.
  * - Provides static utilities for registration and tag name normalization.
+ * - Validates the tag name and checks the full manifest against the class's agentletId,
+ *   reporting mismatches to the shell.
  * 
  * Required Overrides (Subclasses must implement):
  * - onMessageFromShell(message): Handle messages that are not valid tool instructions.
- * - onToolCall(toolName, params): Handle tool instructions.
- * - render(): Render the component's shadow DOM.
+ * - onToolCall(toolName, params, context) or tools (static getter): Handle tool instructions.
+ * - render(changed): Render the component's shadow DOM; `changed` is the set of state keys
+ *   changed since the last render, or undefined for a full render.
  * - agentletId (static getter): Return the manifest info for registration and tag name generation.
  * 
+ * Optional Overrides:
+ * - serializeState() / restoreState(state): Persist the agentlet state across reloads.
+ * - connectedCallback() / disconnectedCallback() / adoptedCallback(): Call super to keep the
+ *   instance routing and the shell notifications.
+ * 
  * Usage:
  * - Extend the Agentlet class.
  * - Implement required methods.
- * - Register the agentlet using Agentlet.register().
+ * - Register the agentlet using Agentlet.register() (and Agentlet.unregister() to withdraw it),
+ *   optionally passing the URL of its full manifest to check.
+ * - Optionally select a transport with Agentlet.useTransport() before registering.
  * 
  * Version: 1.0.0
  */
@@ -44,62 +148,306 @@ export class Agentlet extends HTMLElement {
 
     static observedAttributes = ['message'];
 
+    /**
+     * Default time in milliseconds a tool call may take before an `ERROR` response is sent.
+     * Subclasses may override it; `0` or `Infinity` disables the timeout. Handlers still running
+     * when it expires see their `context.signal` aborted (see `onToolCall`).
+     */
+    static toolCallTimeout = 30000;
+
+    static _callCounter = 0;
+
+    static _registeredTags = new Set();
+
+    /**
+     * Milliseconds to wait for the shell's welcome before downgrading to protocol 1.0.
+     */
+    static handshakeTimeout = 2000;
+
+    static _instanceCounters = new Map();
+
+    /**
+     * Connected elements by instance ID.
+     */
+    static _instances = new Map();
+
+    /**
+     * Theme last pushed by the shell to every element, or null.
+     */
+    static theme = null;
+
     /**
      * Initializes the agentlet and attaches a shadow DOM.
      */
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
+        this._pendingToolCalls = new Map();
+        this._instanceId = null;
+        this._state = {};
+        this._stateJSON = new Map();
+        this._changedState = new Set();
+        this._pendingRender = null;
+        this._regionHTML = new WeakMap();
+        this._themeJSON = null;
+        this._themeProperties = [];
+    }
+
+    /**
+     * Stable identifier of this element, sent with every message it emits and used to route
+     * inbound messages to it. Taken from the `instance-id` attribute if the page sets one;
+     * otherwise generated on first use from the tag name and a per-tag counter, and written
+     * back to the attribute when the element connects. It does not change afterwards.
+     * 
+     * @returns {string} The instance ID.
+     */
+    get instanceId() {
+        if (this._instanceId === null) {
+            const explicit = this.getAttribute('instance-id');
+            this._instanceId = explicit || Agentlet._generateInstanceId(this.localName);
+        }
+        return this._instanceId;
     }
 
     /**
      * Lifecycle hook called when the element is added to the DOM.
-     * Automatically calls render().
+     * Registers the instance for message routing, tells the shell, calls render() and restores
+     * any state saved in the shell storage.
      */
     connectedCallback() {
+        const id = this.instanceId;
+        if (!this.hasAttribute('instance-id')) this.setAttribute('instance-id', id);
+        const other = Agentlet._instances.get(id);
+        if (other && other !== this) {
+            console.log(`WARNING: Agentlet: duplicate instance ID '${id}'; messages for it go to the last connected element.`);
+        }
+        Agentlet._instances.set(id, this);
+        Agentlet.shell.send('instance_connected', {
+            tagName: this.localName,
+            agentlet: this.constructor.agentletId
+        }, { source: this });
+        if (Agentlet.theme) this.applyTheme(Agentlet.theme);
         this.render();
+        this.restorePersistedState();
+    }
+
+    /**
+     * Lifecycle hook called when the element is removed from the DOM.
+     * Stops routing messages to the instance and tells the shell. Tool calls still in flight
+     * are answered when they finish.
+     */
+    disconnectedCallback() {
+        if (Agentlet._instances.get(this.instanceId) === this) {
+            Agentlet._instances.delete(this.instanceId);
+        }
+        Agentlet.shell.send('instance_disconnected', { tagName: this.localName }, { source: this });
+    }
+
+    /**
+     * Lifecycle hook called when the element is moved to another document.
+     */
+    adoptedCallback() {
+        Agentlet.shell.send('instance_adopted', { tagName: this.localName }, { source: this });
     }
 
     /**
      * Handles changes to observed attributes.
      * Specifically processes the 'message' attribute to trigger tool calls or handle shell messages.
      * 
+     * Tool instructions have the form `{ tool, params, id, timeout }`, where `id` (optional) is a
+     * caller-supplied call ID echoed back in the `tool_response`, and `timeout` (optional) overrides
+     * `toolCallTimeout` for that call.
+     * 
      * @param {string} name - The name of the changed attribute.
      * @param {string} oldValue - The old value of the attribute.
      * @param {string} newValue - The new value of the attribute.
      */
     attributeChangedCallback(name, oldValue, newValue) {
         if (name !== 'message') return;
+        this.receiveMessage(newValue);
+    }
 
+    /**
+     * Processes a message from the shell, whether it arrived through the 'message' attribute
+     * or through the active transport: tool instructions are dispatched to `onToolCall`,
+     * anything else is passed to `onMessageFromShell`.
+     * 
+     * @param {string} newValue - The raw message.
+     */
+    receiveMessage(newValue) {
         console.log(`Agentlet: message received: ${newValue}`);
 
+        let parsed;
         try {
-            const parsed = JSON.parse(newValue);
-
-            if (typeof parsed === 'object' && parsed.tool) {
-                const response = this.onToolCall(parsed.tool, parsed.params);
-                if (response !== undefined) {
-                    const toolResponse = {
-                        type: 'tool_response',
-                        tool: parsed.tool,
-                        params: parsed.params,
-                        response: response
-                    };
-                    console.log(`Agentlet: sending tool response to shell: ${toolResponse}`);
-                    Agentlet.shell.sendMessageToShell(JSON.stringify(toolResponse));
+            parsed = JSON.parse(newValue);
+        } catch (e) {
+            console.log(`Agentlet: message error: ${e}`);
+            this.onMessageFromShell(newValue);
+            return;
+        }
+
+        if (parsed && typeof parsed === 'object' && parsed.instanceId && parsed.instanceId !== this.instanceId) {
+            console.log(`Agentlet: message for instance '${parsed.instanceId}' ignored by '${this.instanceId}'.`);
+            return;
+        }
 
+        if (isEnvelope(parsed)) {
+            this._receiveEnvelope(parsed, newValue);
+        } else if (parsed && typeof parsed === 'object' && parsed.tool) {
+            this._handleToolCall(parsed);
+        } else {
+            // JSON válido pero no cumple con formato esperado de tool
+            console.log(`Agentlet: JSON válido pero no cumple con formato esperado de tool.`);
+            this.onMessageFromShell(newValue);
+        }
+    }
+
+    /**
+     * Processes a protocol 1.1 envelope received from the shell.
+     * 
+     * @param {Object} envelope - The parsed envelope.
+     * @param {string} raw - The raw message, passed to onMessageFromShell for non-tool messages.
+     */
+    _receiveEnvelope(envelope, raw) {
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(envelope.protocolVersion)) {
+            console.log(`Agentlet: unsupported protocol version ${envelope.protocolVersion}`);
+            Agentlet.shell.send('error', {
+                message: `Unsupported protocol version '${envelope.protocolVersion}'. Supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}.`
+            }, { source: this, correlationId: envelope.id });
+            return;
+        }
+
+        const payload = envelope.payload || {};
+        switch (envelope.type) {
+            case 'welcome':
+                Agentlet.shell.acceptWelcome(envelope);
+                break;
+            case 'tool_call':
+                this._handleToolCall({
+                    tool: payload.tool,
+                    params: payload.params,
+                    id: envelope.id,
+                    timeout: payload.timeout
+                });
+                break;
+            case 'message':
+                this.onMessageFromShell(typeof payload.message === 'string' ? payload.message : raw);
+                break;
+            case 'theme':
+                if (envelope.instanceId) {
+                    this.applyTheme(payload);
+                } else {
+                    Agentlet.setTheme(payload);
                 }
-            } else {
-                // JSON válido pero no cumple con formato esperado de tool
-                console.log(`Agentlet: JSON válido pero no cumple con formato esperado de tool.`);
-                this.onMessageFromShell(newValue);
+                break;
+            default:
+                this.onMessageFromShell(raw);
+        }
+    }
+
+    /**
+     * Runs a tool instruction and sends its `tool_response` to the shell.
+     * Supports synchronous and Promise-returning `onToolCall` implementations. Errors thrown by the
+     * handler and calls exceeding the timeout are answered with a structured `ERROR` response.
+     * Several calls may be in flight at once; each one is tracked by its call ID. A call reusing
+     * the ID of a pending one is rejected with an `error` message instead of a `tool_response`.
+     * 
+     * @param {Object} call - The parsed tool instruction: `{ tool, params, id, timeout }`.
+     * @returns {Promise<void>} Resolves once the response has been sent (or dropped).
+     */
+    async _handleToolCall(call) {
+        const id = call.id ?? Agentlet._nextCallId();
+        if (this._pendingToolCalls.has(id)) {
+            // Answered with an error message, not a tool_response: the pending call keeps its id
+            Agentlet.shell.send('error', {
+                message: `A tool call with id '${id}' is already in progress.`,
+                tool: call.tool,
+                callId: id
+            }, { source: this });
+            return;
+        }
+
+        const timeout = call.timeout ?? this.constructor.toolCallTimeout;
+        const controller = new AbortController();
+        this._pendingToolCalls.set(id, call.tool);
+
+        let response;
+        try {
+            response = await this.constructor.validateToolCall(call.tool, call.params);
+            if (!response) {
+                const context = { id, signal: controller.signal };
+                const pending = new Promise(resolve => resolve(this.onToolCall(call.tool, call.params, context)));
+                pending.then(() => {
+                    if (controller.signal.aborted) console.log(`Agentlet: late result of tool '${call.tool}' (call '${id}') discarded.`);
+                }, () => {});
+                response = await Agentlet._withTimeout(pending, timeout, call.tool, controller);
             }
         } catch (e) {
-            console.log(`Agentlet: message error: ${e}`);
-            this.onMessageFromShell(newValue);
+            console.log(`Agentlet: tool '${call.tool}' failed: ${e}`);
+            response = {
+                status: 'ERROR',
+                message: e instanceof ToolTimeoutError
+                    ? e.message
+                    : `Tool '${call.tool}' failed: ${e && e.message ? e.message : e}`
+            };
+        } finally {
+            this._pendingToolCalls.delete(id);
+        }
+
+        if (response !== undefined) {
+            this._sendToolResponse(call, id, response);
         }
     }
 
+    /**
+     * Sends a `tool_response` message to the shell.
+     * 
+     * @param {Object} call - The original tool instruction.
+     * @param {string|number} id - The call ID to echo.
+     * @param {Object} response - The response object returned by the tool.
+     */
+    _sendToolResponse(call, id, response) {
+        const sensitive = this.constructor.sensitiveFields(call.tool);
+        const payload = {
+            tool: call.tool,
+            params: Agentlet.redact(call.params, sensitive.params),
+            response: Agentlet.redact(response, sensitive.response)
+        };
+        console.log(`Agentlet: sending tool response to shell: ${JSON.stringify(payload)}`);
+        Agentlet.shell.send('tool_response', payload, { source: this, correlationId: id });
+    }
+
+    /**
+     * Sends a message to the shell through the active transport, on behalf of this element.
+     * The message is wrapped in an envelope or sent as is, depending on the negotiated protocol.
+     * 
+     * @param {Object} message - The message in legacy form: `{ type, ...payload }`.
+     */
+    sendToShell(message) {
+        const { type, ...payload } = message;
+        Agentlet.shell.send(type, payload, { source: this });
+    }
+
+    /**
+     * Sends a typed event to the shell, for shells that track what happens in the agentlet
+     * without parsing free-text messages.
+     * 
+     * @param {string} event - The event name, e.g. 'game_started'.
+     * @param {Object} [data] - Event fields; `timestamp` defaults to the current time.
+     */
+    sendEvent(event, data = {}) {
+        this.sendToShell({ type: 'event', event, timestamp: Date.now(), ...data });
+    }
+
+    /**
+     * IDs of the tool calls currently in flight on this agentlet.
+     * 
+     * @returns {Array<string|number>} The pending call IDs.
+     */
+    get pendingToolCalls() {
+        return Array.from(this._pendingToolCalls.keys());
+    }
+
     /**
      * Abstract function called when a valid JSON message does not contain a tool instruction.
      * Subclasses must override this to implement specific message handling.
@@ -112,8 +460,9 @@ export class Agentlet extends HTMLElement {
     }
 
     /**
-     * Abstract function called when a message contains a tool instruction.
-     * Subclasses must override this to implement tool logic.
+     * Function called when a message contains a tool instruction.
+     * By default it dispatches to the handler declared in the static `tools` registry; subclasses
+     * that do not declare tools must override this to implement tool logic.
      * 
      * Expected return format:
      * - On success:
@@ -128,21 +477,217 @@ export class Agentlet extends HTMLElement {
      *     message: 'ERROR: La posición row=x, col=y ya estaba ocupada por el jugador z. Intenta de nuevo.'
      *   }
      * 
+     * The response may also be returned through a Promise; the `tool_response` is sent once it settles.
+     * Long-running tools should watch `context.signal`: it is aborted, with a `ToolTimeoutError` as
+     * its reason, when the call times out, and whatever the tool returns after that is discarded.
+     * 
      * @param {string} toolName - The name of the tool to call.
      * @param {any} params - Parameters to pass to the tool.
-     * @returns {Object} Response object in the specified format.
+     * @param {Object} [context] - The call context: `{ id, signal }`, the call ID and an `AbortSignal`.
+     * @returns {Object|Promise<Object>} Response object in the specified format.
      * @throws {Error} If not implemented by subclass.
      */
-    onToolCall(toolName, params) {
-        throw new Error('The onToolCall function must be implemented by subclasses.');
+    onToolCall(toolName, params, context) {
+        if (!this.constructor.tools) {
+            throw new Error('The onToolCall function must be implemented by subclasses.');
+        }
+        const tool = this.constructor.findTool(toolName);
+        if (!tool) {
+            return {
+                status: 'ERROR',
+                message: `Unknown tool '${toolName}'.`
+            };
+        }
+        return tool.handler.call(this, params || {}, context);
+    }
+
+    /**
+     * Returns a JSON-serializable snapshot of the agentlet state to persist.
+     * Subclasses override this together with `restoreState`; the default persists nothing.
+     * 
+     * @returns {Object|undefined} The state to save, or undefined to skip persistence.
+     */
+    serializeState() {
+        return undefined;
+    }
+
+    /**
+     * Restores a state previously returned by `serializeState`.
+     * Called when the element connects and a saved state is found; render() is called afterwards.
+     * 
+     * @param {Object} state - The saved state.
+     */
+    restoreState(state) {
+    }
+
+    /**
+     * Key under which this agentlet's state is saved in the shell storage: one key per instance.
+     * Generated instance IDs follow the order in which elements are created, so each element
+     * finds its own state again after a reload of the same page.
+     * 
+     * @returns {string} The storage key.
+     */
+    get stateStorageKey() {
+        return `agentlet-state:${this.localName}:${this.instanceId}`;
+    }
+
+    /**
+     * Saves the current state in the storage provided by the shell (`Agentlet.shell.storage`).
+     * The storage follows the Web Storage `getItem`/`setItem`/`removeItem` interface and may
+     * return Promises. Does nothing if the shell provides no storage or there is no state.
+     * 
+     * @returns {Promise<void>} Resolves once the state has been written.
+     */
+    async persistState() {
+        const storage = Agentlet.shell && Agentlet.shell.storage;
+        if (!storage) return;
+        const state = this.serializeState();
+        if (state === undefined) return;
+        try {
+            await storage.setItem(this.stateStorageKey, JSON.stringify(state));
+        } catch (e) {
+            console.log(`Agentlet: could not persist state: ${e}`);
+        }
+    }
+
+    /**
+     * Loads the state saved in the shell storage, passes it to `restoreState` and re-renders.
+     * 
+     * @returns {Promise<boolean>} True if a saved state was restored.
+     */
+    async restorePersistedState() {
+        const storage = Agentlet.shell && Agentlet.shell.storage;
+        if (!storage) return false;
+        try {
+            const saved = await storage.getItem(this.stateStorageKey);
+            if (!saved) return false;
+            this.restoreState(JSON.parse(saved));
+        } catch (e) {
+            console.log(`Agentlet: could not restore state: ${e}`);
+            return false;
+        }
+        this.render();
+        return true;
+    }
+
+    /**
+     * Applies a theme to this element: `name` is written to the `theme` attribute, which the
+     * agentlet styles through `:host([theme="..."])`, and `properties` are set as CSS custom
+     * properties on the host element, replacing the ones set by the previous theme. Properties
+     * whose name does not start with `--` are ignored. A name that is neither one of `THEMES`
+     * nor "auto" is replaced by "auto".
+     * 
+     * @param {string|Object} theme - A theme name, or `{ name, properties }`.
+     */
+    applyTheme(theme) {
+        const { name, properties } = normalizeTheme(theme);
+        const json = JSON.stringify({ name, properties });
+        if (json === this._themeJSON) return;
+        this._themeJSON = json;
+        this._themeProperties.forEach(property => this.style.removeProperty(property));
+        this._themeProperties = Object.keys(properties).filter(property => property.startsWith('--'));
+        this._themeProperties.forEach(property => this.style.setProperty(property, String(properties[property])));
+        if (name) this.setAttribute('theme', name);
+    }
+
+    /**
+     * The view state set through `setState`. Treat it as read-only.
+     * 
+     * @returns {Object} The current state.
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Merges `changes` into the view state and schedules a render for the keys whose value
+     * changed. Several calls in the same task produce a single render. Values should be plain
+     * JSON data: they are compared by their JSON form, so objects mutated in place and then set
+     * again are detected as changed.
+     * 
+     * @param {Object} changes - The state keys to set.
+     * @returns {Promise<void>} Resolves once the scheduled render ran (see `renderComplete`).
+     */
+    setState(changes) {
+        for (const [key, value] of Object.entries(changes)) {
+            const json = JSON.stringify(value);
+            if (this._stateJSON.has(key) && this._stateJSON.get(key) === json) continue;
+            this._state[key] = value;
+            this._stateJSON.set(key, json);
+            this._changedState.add(key);
+        }
+        return this._changedState.size > 0 ? this.requestRender() : this.renderComplete;
+    }
+
+    /**
+     * Schedules a render in a microtask, passing the state keys changed since the last one.
+     * 
+     * @returns {Promise<void>} Resolves once the render ran.
+     */
+    requestRender() {
+        if (!this._pendingRender) {
+            this._pendingRender = new Promise(resolve => queueMicrotask(() => {
+                const changed = this._changedState;
+                this._changedState = new Set();
+                this._pendingRender = null;
+                try {
+                    this.render(changed);
+                } finally {
+                    resolve();
+                }
+            }));
+        }
+        return this._pendingRender;
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once the pending render, if any, ran.
+     */
+    get renderComplete() {
+        return this._pendingRender || Promise.resolve();
+    }
+
+    /**
+     * Replaces the content of the `[data-region]` elements inside `root` whose HTML changed
+     * since the last call; the others, with their focus, input values and running animations,
+     * are left untouched.
+     * 
+     * @param {Element|ShadowRoot} root - Where to look for the regions.
+     * @param {Object<string, string>} regions - HTML by region name.
+     */
+    updateRegions(root, regions) {
+        for (const [name, html] of Object.entries(regions)) {
+            const region = root.querySelector(`[data-region="${name}"]`);
+            if (!region || this._regionHTML.get(region) === html) continue;
+            region.innerHTML = html;
+            this._regionHTML.set(region, html);
+        }
+    }
+
+    /**
+     * Handles `type` events coming from shadow DOM elements that match `selector` with a single
+     * listener on the shadow root, so it keeps working when render() replaces those elements.
+     * 
+     * @param {string} type - The event type, e.g. 'click'.
+     * @param {string} selector - CSS selector of the elements to handle.
+     * @param {Function} handler - Called as `handler(event, element)` with `this` bound to the agentlet.
+     */
+    delegate(type, selector, handler) {
+        this.shadowRoot.addEventListener(type, event => {
+            const element = typeof event.target.closest === 'function' ? event.target.closest(selector) : null;
+            if (element && this.shadowRoot.contains(element)) handler.call(this, event, element);
+        });
     }
 
     /**
      * Abstract Render method for drawing the component in the shadow DOM.
      * Subclasses must override this.
+     * 
+     * @param {Set<string>} [changed] - State keys changed since the last render; undefined when
+     *   the whole component must be drawn (on connect and after restoring a saved state).
      * @throws {Error} If not implemented by subclass.
      */
-    render() {
+    render(changed) {
         throw new Error('The render method must be implemented by subclasses.');
     }
 
@@ -167,50 +712,1004 @@ export class Agentlet extends HTMLElement {
         throw new Error('The agentletId getter must be implemented by subclasses.');
     }
 
+    /**
+     * Declarative tool registry. Subclasses may override this instead of `onToolCall`.
+     * Each tool is declared once with its manifest data and its handler; it is callable by its
+     * bare name and by its `agentlet_` prefixed name, and its schema validates incoming calls.
+     * 
+     * Expected return format:
+     * [
+     *   {
+     *     name: 'resetGame',
+     *     description: 'Reinicia el estado del juego.',
+     *     parameters: { type: 'object', properties: {} },
+     *     handler(params) { return { status: 'OK', message: 'Juego reiniciado.', response: {} }; }
+     *   }
+     * ]
+     * 
+     * Handlers are called as `handler(params, context)` with the agentlet instance as `this`, and
+     * follow the `onToolCall` context and return format.
+     * 
+     * A tool may also declare `sensitive: { params: ['word'], response: ['response.secret'] }`:
+     * dot paths into the call params and into the returned object that are removed before the
+     * `tool_response` leaves the component (see `sensitiveFields`). `sensitive` is not part of
+     * the manifest.
+     * 
+     * @returns {Array<Object>|null} The declared tools, or null if the subclass handles `onToolCall` itself.
+     */
+    static get tools() {
+        return null;
+    }
+
+    /**
+     * Finds a declared tool by its bare or `agentlet_` prefixed name.
+     * 
+     * @param {string} toolName - The name used in the tool call.
+     * @returns {Object|undefined} The tool declaration, if any.
+     */
+    static findTool(toolName) {
+        return (this.tools || []).find(t =>
+            toolName === t.name || toolName === Agentlet.prefixedToolName(t.name));
+    }
+
+    /**
+     * Returns the `tools` section of the manifest generated from the declared tool registry.
+     * 
+     * @returns {Array<Object>} Manifest tool entries: `{ name, description, parameters }`.
+     */
+    static get manifestTools() {
+        return (this.tools || []).map(t => ({
+            name: Agentlet.prefixedToolName(t.name),
+            description: t.description,
+            parameters: t.parameters || { type: 'object', properties: {} }
+        }));
+    }
+
+    /**
+     * Returns the fields of a tool that must never be sent to the shell. Subclasses that implement
+     * `onToolCall` themselves may override this instead of declaring `sensitive` in `tools`.
+     * 
+     * @param {string} toolName - The tool name, bare or prefixed.
+     * @returns {{params: Array<string>, response: Array<string>}} Dot paths into the params and the response.
+     */
+    static sensitiveFields(toolName) {
+        const tool = this.findTool(toolName);
+        const sensitive = (tool && tool.sensitive) || {};
+        return {
+            params: sensitive.params || [],
+            response: sensitive.response || []
+        };
+    }
+
+    /**
+     * Returns a copy of a JSON value without the fields at the given dot paths. A path segment
+     * that reaches an array applies to each of its items.
+     * 
+     * @param {any} value - The value to redact; it is not modified.
+     * @param {Array<string>} paths - Dot paths such as `word` or `response.match.history.word`.
+     * @returns {any} The redacted copy, or the value itself if there is nothing to remove.
+     */
+    static redact(value, paths) {
+        if (!paths || paths.length === 0 || value === null || typeof value !== 'object') return value;
+        const copy = JSON.parse(JSON.stringify(value));
+        for (const path of paths) {
+            removePath(copy, path.split('.'));
+        }
+        return copy;
+    }
+
+    /**
+     * Adds the `agentlet_` prefix used for tool names exposed to the assistant.
+     * 
+     * @param {string} name - A bare or already prefixed tool name.
+     * @returns {string} The prefixed tool name.
+     */
+    static prefixedToolName(name) {
+        return name.startsWith('agentlet_') ? name : `agentlet_${name}`;
+    }
+
     /**
      * Builds a normalized custom element tag name using manifest details.
+     * The result is not validated; see `validateTagName` in `manifest-checker.js`.
      * 
      * @param {Object} microManifest - The manifest object with groupId, artifactId, tagName, and version.
      * @returns {string} The normalized HTML tag name.
      */
     static buildNormalizedTagName(microManifest) {
-        const normalizedGroupId = microManifest.groupId
-            .replaceAll('.', '-');
-        const normalizedArtifact = microManifest.artifactId
-            .replaceAll('.', '-');
-        const name = microManifest.tagName;
-        const normalizedVersion = microManifest.version
-            .replaceAll('.', '-');
-        const tagName = `${normalizedGroupId}-${normalizedArtifact}-${name}-${normalizedVersion}`;
-        return tagName;
+        return normalizedTagName(microManifest);
     }
 
     /**
      * Registers an agentlet as a custom element using its manifest data.
      * Also informs the shell of the new agentlet.
      * 
+     * The microManifest is checked first. Problems are logged and reported to the shell as an
+     * `error` message; a tag name that is not a valid custom element name also throws, since the
+     * element cannot be defined.
+     * 
      * @param {typeof Agentlet} constructor - The class constructor extending Agentlet.
+     * @param {Object} [options]
+     * @param {string|URL|Object} [options.manifest] - The full manifest, or its URL, to load and
+     *   check against the class with `loadManifest`.
      */
-    static register(constructor) {
+    static register(constructor, options = {}) {
         const microManifest = constructor.agentletId;
         const normalizedTagName = constructor.buildNormalizedTagName(microManifest);
-        customElements.define(normalizedTagName, constructor);
-        this.shell.registerAgentlet(microManifest)
+        const tagProblems = validateTagName(normalizedTagName);
+        if (tagProblems.length > 0) {
+            constructor._reportManifestProblems('agentletId', tagProblems);
+            throw new Error(`Agentlet '${microManifest.name}' cannot be registered: ${tagProblems.join('; ')}.`);
+        }
+        // Registering again after unregister() only announces the agentlet to the shell
+        if (customElements.get(normalizedTagName) !== constructor) {
+            customElements.define(normalizedTagName, constructor);
+        }
+        Agentlet._registeredTags.add(normalizedTagName);
+        this.shell.registerAgentlet(microManifest);
+        this.shell.handshake(microManifest);
         console.log(`Agentlet '${microManifest.name}' version ${microManifest.version} registered with HTML tag: <${normalizedTagName}>`);
+        constructor._reportManifestProblems('agentletId', checkManifest(microManifest));
+        if (options.manifest) {
+            constructor.loadManifest(options.manifest);
+        }
     }
 
     /**
-     * Provides access to the shell object attached to the global window.
+     * Unregisters an agentlet: the shell is told it is gone and transports stop delivering
+     * messages to its elements. Custom elements cannot be undefined, so the tag stays defined
+     * and `register()` can announce the agentlet again.
      * 
-     * @returns {Object} The shell interface.
+     * @param {typeof Agentlet} constructor - The class constructor extending Agentlet.
+     * @returns {boolean} False if the agentlet was not registered.
      */
-    static get shell() {
-        return window.agentlet_shell;
+    static unregister(constructor) {
+        const microManifest = constructor.agentletId;
+        const normalizedTagName = constructor.buildNormalizedTagName(microManifest);
+        if (!Agentlet._registeredTags.delete(normalizedTagName)) return false;
+        this.shell.unregisterAgentlet(microManifest);
+        console.log(`Agentlet '${microManifest.name}' version ${microManifest.version} unregistered from HTML tag: <${normalizedTagName}>`);
+        return true;
+    }
+
+    /**
+     * Sets the tool declarations (manifest `tools` entries) used to validate tool calls.
+     * Once set, calls to unknown tools and calls whose `params` violate the tool's `parameters`
+     * schema are answered with an `ERROR` response without reaching `onToolCall`.
+     * 
+     * @param {Array<Object>|null} tools - Manifest tool entries: `{ name, description, parameters }`.
+     */
+    static useToolSchemas(tools) {
+        toolSchemaRegistry.set(this, Promise.resolve(tools));
+    }
+
+    /**
+     * Loads the tool declarations from an agentlet manifest file.
+     * Tool calls received while the manifest is loading wait for it. If loading fails, a warning
+     * is logged and tool calls are dispatched without validation.
+     * 
+     * @param {string|URL} manifestURL - URL of the `agentlet_manifest.json` file.
+     * @returns {Promise<Array<Object>|null>} The loaded tool declarations.
+     */
+    static loadToolSchemas(manifestURL) {
+        const loading = fetch(manifestURL)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(manifest => manifest.tools || [])
+            .catch(e => {
+                console.log(`WARNING: Agentlet: could not load tool schemas from ${manifestURL}: ${e}`);
+                return null;
+            });
+        toolSchemaRegistry.set(this, loading);
+        return loading;
+    }
+
+    /**
+     * Loads the full agentlet manifest and checks it: its structure, its tag name, its agreement
+     * with `agentletId` and, when the class declares tools, with `manifestTools`. Problems are
+     * logged and reported to the shell. If the class does not declare tools, the manifest `tools`
+     * are used to validate tool calls, as with `loadToolSchemas`.
+     * If loading fails, a warning is logged.
+     * 
+     * @param {string|URL|Object} source - URL of the `agentlet_manifest.json` file, or the parsed manifest.
+     * @returns {Promise<{manifest: Object|null, problems: Array<string>}>} The manifest and the problems found.
+     */
+    static loadManifest(source) {
+        const fetching = typeof source === 'string' || source instanceof URL
+            ? fetch(source).then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            : Promise.resolve(source);
+        const loading = fetching.then(manifest => {
+            const problems = checkManifest(manifest, {
+                agentletId: this.agentletId,
+                tools: this.tools ? this.manifestTools : undefined
+            });
+            this._reportManifestProblems(source, problems);
+            return { manifest, problems };
+        }).catch(e => {
+            console.log(`WARNING: Agentlet: could not load the manifest from ${source}: ${e}`);
+            return { manifest: null, problems: [] };
+        });
+        if (!this.tools) {
+            toolSchemaRegistry.set(this, loading.then(({ manifest }) => manifest && Array.isArray(manifest.tools) ? manifest.tools : null));
+        }
+        return loading;
+    }
+
+    /**
+     * Logs manifest problems and reports them to the shell as an `error` message.
+     * 
+     * @param {string|URL|Object} source - Where the checked manifest came from.
+     * @param {Array<string>} problems - The problems found; nothing is reported if empty.
+     */
+    static _reportManifestProblems(source, problems) {
+        if (problems.length === 0) return;
+        const microManifest = this.agentletId;
+        const origin = typeof source === 'string' || source instanceof URL ? source : 'manifest';
+        const message = `Agentlet '${microManifest.name}': ${origin} has ${problems.length} problem(s): ${problems.join('; ')}.`;
+        console.log(`WARNING: ${message}`);
+        Agentlet.shell.send('error', { message, agentlet: microManifest, problems });
+    }
+
+    /**
+     * Validates a tool call against the tool registry, or against the schemas set through
+     * `useToolSchemas` / `loadToolSchemas` when the class does not declare tools.
+     * Tool names match their declaration with or without the `agentlet_` prefix.
+     * 
+     * @param {string} toolName - The name of the tool being called.
+     * @param {any} params - The call parameters.
+     * @returns {Promise<Object|null>} An `ERROR` response listing every violated constraint,
+     *   or `null` if the call is valid or no schemas were declared.
+     */
+    static async validateToolCall(toolName, params) {
+        const tools = this.tools ? this.manifestTools : await toolSchemaRegistry.get(this);
+        if (!tools) return null;
+
+        const tool = tools.find(t => t.name === toolName || t.name === `agentlet_${toolName}`);
+        if (!tool) {
+            return {
+                status: 'ERROR',
+                message: `Unknown tool '${toolName}'. Available tools: ${tools.map(t => t.name).join(', ')}.`
+            };
+        }
+
+        const errors = tool.parameters
+            ? validateAgainstSchema(params === undefined ? {} : params, tool.parameters, 'params')
+            : [];
+        if (errors.length === 0) return null;
+        return {
+            status: 'ERROR',
+            message: `Invalid parameters for tool '${tool.name}': ${errors.join('; ')}.`,
+            errors: errors
+        };
+    }
+
+    /**
+     * Generates an instance ID not used by any connected element or `instance-id` attribute.
+     * 
+     * @param {string} tagName - The element's tag name.
+     * @returns {string} The new instance ID: the tag name and a per-tag counter.
+     */
+    static _generateInstanceId(tagName) {
+        let id;
+        do {
+            const count = (Agentlet._instanceCounters.get(tagName) || 0) + 1;
+            Agentlet._instanceCounters.set(tagName, count);
+            id = `${tagName}-${count}`;
+        } while (Agentlet._instances.has(id) || document.querySelector(`[instance-id="${id}"]`));
+        return id;
+    }
+
+    /**
+     * Generates a call ID for tool instructions that do not provide one.
+     * 
+     * @returns {string} A new call ID, unique within the page.
+     */
+    static _nextCallId() {
+        Agentlet._callCounter += 1;
+        return `call-${Date.now()}-${Agentlet._callCounter}`;
+    }
+
+    /**
+     * Races a promise against a timeout.
+     * 
+     * @param {Promise<any>} promise - The pending tool result.
+     * @param {number} timeout - Milliseconds to wait; `0` or `Infinity` waits forever.
+     * @param {string} toolName - The tool name, used in the error message.
+     * @param {AbortController} [controller] - Aborted with the `ToolTimeoutError` when the timeout expires.
+     * @returns {Promise<any>} The tool result.
+     * @throws {ToolTimeoutError} If the timeout expires first.
+     */
+    static _withTimeout(promise, timeout, toolName, controller) {
+        if (!timeout || timeout === Infinity) return promise;
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new ToolTimeoutError(toolName, timeout);
+                controller?.abort(error);
+                reject(error);
+            }, timeout);
+        });
+        return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Provides access to the shell through the active transport.
+     * The returned bridge exposes the same interface as `window.agentlet_shell`
+     * (`registerAgentlet`, `unregisterAgentlet`, `sendMessageToShell`, `storage`) and buffers outbound messages
+     * until the shell attaches.
+     * 
+     * @returns {ShellBridge} The shell interface.
+     */
+    static get shell() {
+        return shellBridge;
+    }
+
+    /**
+     * Selects how agentlets talk to the shell. Call it before `register()`.
+     * Messages buffered by the previous transport are sent through the new one, and the previous
+     * transport is disconnected: messages arriving on its channel are ignored.
+     * 
+     * @param {GlobalShellTransport|EventShellTransport|PostMessageShellTransport} transport - The transport to use.
+     */
+    static useTransport(transport) {
+        shellBridge.useTransport(transport);
+    }
+
+    /**
+     * Applies a theme to every connected agentlet element and to the ones connected later.
+     * Shells call it directly or send a `theme` message.
+     * 
+     * @param {string|Object|null} theme - A theme name, `{ name, properties }` (see `applyTheme`),
+     *   or null to stop applying a theme to new elements.
+     */
+    static setTheme(theme) {
+        Agentlet.theme = theme ? normalizeTheme(theme) : null;
+        if (!Agentlet.theme) return;
+        Agentlet._instances.forEach(instance => instance.applyTheme(Agentlet.theme));
+    }
+
+    /**
+     * Delivers an inbound message received by a transport to the registered agentlet elements.
+     * A message addressed to an instance (through `target` or its own `instanceId`) only reaches
+     * that element.
+     * 
+     * @param {string|undefined} target - Instance ID or tag name of the receiving agentlets; all registered agentlets if omitted.
+     * @param {string} message - The raw message.
+     */
+    static _deliver(target, message) {
+        if (shellBridge.acceptWelcome(message)) return;
+        const instance = Agentlet._instances.get(target) || Agentlet._instances.get(addressedInstance(message));
+        if (instance) {
+            if (Agentlet._registeredTags.has(instance.localName)) instance.receiveMessage(message);
+            return;
+        }
+        const tags = target ? [target] : Array.from(Agentlet._registeredTags);
+        tags.filter(tag => Agentlet._registeredTags.has(tag)).forEach(tag => {
+            document.querySelectorAll(tag).forEach(element => element.receiveMessage(message));
+        });
+    }
+}
+
+/**
+ * Name of the window event a shell dispatches when it is ready to receive messages.
+ */
+export const SHELL_READY_EVENT = 'agentlet-shell-ready';
+
+/**
+ * Transport using the shell object attached to `window.agentlet_shell` (the original behavior).
+ * The shell is considered attached as soon as the global exists; a shell installed after the
+ * agentlets loaded should dispatch `agentlet-shell-ready` on window to flush buffered messages.
+ */
+export class GlobalShellTransport {
+
+    /**
+     * @param {Function} onReady - Called when the shell attaches.
+     */
+    connect(onReady) {
+        this._onReady = onReady;
+        window.addEventListener(SHELL_READY_EVENT, onReady);
+    }
+
+    /**
+     * Stops listening to the window; called when another transport replaces this one.
+     */
+    disconnect() {
+        window.removeEventListener(SHELL_READY_EVENT, this._onReady);
+    }
+
+    isReady() {
+        return !!window.agentlet_shell;
+    }
+
+    registerAgentlet(manifest) {
+        window.agentlet_shell.registerAgentlet(manifest);
+    }
+
+    unregisterAgentlet(manifest) {
+        if (typeof window.agentlet_shell.unregisterAgentlet === 'function') {
+            window.agentlet_shell.unregisterAgentlet(manifest);
+        }
+    }
+
+    /**
+     * Runs the handshake through `window.agentlet_shell.handshake(hello)`, if the shell has one.
+     * 
+     * @param {Object} hello - The hello envelope.
+     * @returns {Object|Promise<Object>|null} The welcome, or null for a legacy shell.
+     */
+    handshake(hello) {
+        const shell = window.agentlet_shell;
+        return typeof shell.handshake === 'function' ? shell.handshake(hello) : null;
+    }
+
+    sendMessage(message, source) {
+        window.agentlet_shell.sendMessageToShell(message);
+    }
+
+    get storage() {
+        return window.agentlet_shell ? window.agentlet_shell.storage : undefined;
+    }
+}
+
+/**
+ * Transport using DOM CustomEvents, for shells living in the same document.
+ * 
+ * Outbound:
+ * - `agentlet-register` and `agentlet-unregister` on window, `detail: { manifest }`.
+ * - `agentlet-message` on the sending element (bubbling and composed), `detail: { message, tagName, instanceId }`;
+ *   on window if the element is no longer in the document, as for `instance_disconnected`.
+ * 
+ * Inbound: the shell keeps setting the element's 'message' attribute, or dispatches
+ * `agentlet-shell-message` on window with `detail: { target, message }`, where `target` is an
+ * instance ID or a tag name.
+ * The shell signals it is listening by dispatching `agentlet-shell-ready` on window.
+ */
+export class EventShellTransport {
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage for agentlet state (Web Storage interface).
+     */
+    constructor(options = {}) {
+        this._ready = false;
+        this._storage = options.storage;
+    }
+
+    connect(onReady) {
+        this._onReady = () => {
+            this._ready = true;
+            onReady();
+        };
+        this._onMessage = event => {
+            const { target, message } = event.detail || {};
+            Agentlet._deliver(target, message);
+        };
+        window.addEventListener(SHELL_READY_EVENT, this._onReady);
+        window.addEventListener('agentlet-shell-message', this._onMessage);
+    }
+
+    disconnect() {
+        window.removeEventListener(SHELL_READY_EVENT, this._onReady);
+        window.removeEventListener('agentlet-shell-message', this._onMessage);
+    }
+
+    isReady() {
+        return this._ready;
+    }
+
+    registerAgentlet(manifest) {
+        window.dispatchEvent(new CustomEvent('agentlet-register', { detail: { manifest } }));
+    }
+
+    unregisterAgentlet(manifest) {
+        window.dispatchEvent(new CustomEvent('agentlet-unregister', { detail: { manifest } }));
+    }
+
+    sendMessage(message, source) {
+        // An element outside the document (e.g. sending instance_disconnected) cannot bubble to window
+        const target = source && source.isConnected ? source : window;
+        target.dispatchEvent(new CustomEvent('agentlet-message', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                message,
+                tagName: source ? source.localName : undefined,
+                instanceId: source ? source.instanceId : undefined
+            }
+        }));
+    }
+
+    get storage() {
+        return this._storage;
+    }
+}
+
+/**
+ * Transport using `postMessage`, for agentlets isolated in an iframe or another window.
+ * Every message is wrapped as `{ channel: 'agentlet', kind, ... }`:
+ * - Outbound: `{ kind: 'register', manifest }`, `{ kind: 'unregister', manifest }` and
+ *   `{ kind: 'message', source: tagName, instanceId, message }`.
+ * - Inbound: `{ kind: 'shell-ready' }` and `{ kind: 'message', target, message }`, where `target`
+ *   is an instance ID or a tag name.
+ * 
+ * Inbound messages are accepted only from the target window and from the allowed origins;
+ * outbound messages are only posted to `targetOrigin`.
+ */
+export class PostMessageShellTransport {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.targetOrigin - Origin of the shell; '*' is not accepted.
+     * @param {Window} [options.target=window.parent] - Window hosting the shell.
+     * @param {Array<string>} [options.allowedOrigins=[targetOrigin]] - Origins accepted for inbound messages.
+     * @throws {Error} If `targetOrigin` is missing or '*'.
+     */
+    constructor(options = {}) {
+        if (!options.targetOrigin || options.targetOrigin === '*') {
+            throw new Error('PostMessageShellTransport requires an explicit targetOrigin.');
+        }
+        this._target = options.target || window.parent;
+        this._targetOrigin = options.targetOrigin;
+        this._allowedOrigins = options.allowedOrigins || [options.targetOrigin];
+        this._ready = false;
+    }
+
+    connect(onReady) {
+        this._onMessage = event => {
+            if (event.source !== this._target || !this._allowedOrigins.includes(event.origin)) return;
+            const data = event.data;
+            if (!data || data.channel !== 'agentlet') return;
+            if (data.kind === 'shell-ready') {
+                this._ready = true;
+                onReady();
+            } else if (data.kind === 'message') {
+                Agentlet._deliver(data.target, data.message);
+            }
+        };
+        window.addEventListener('message', this._onMessage);
+    }
+
+    disconnect() {
+        window.removeEventListener('message', this._onMessage);
+    }
+
+    isReady() {
+        return this._ready;
+    }
+
+    registerAgentlet(manifest) {
+        this._post({ kind: 'register', manifest });
+    }
+
+    unregisterAgentlet(manifest) {
+        this._post({ kind: 'unregister', manifest });
+    }
+
+    sendMessage(message, source) {
+        this._post({
+            kind: 'message',
+            source: source ? source.localName : undefined,
+            instanceId: source ? source.instanceId : undefined,
+            message
+        });
+    }
+
+    get storage() {
+        return undefined;
+    }
+
+    _post(data) {
+        this._target.postMessage({ channel: 'agentlet', ...data }, this._targetOrigin);
+    }
+}
+
+/**
+ * Shell facade returned by `Agentlet.shell`. Forwards calls to the active transport, runs the
+ * protocol handshake and queues messages while no shell is attached or the handshake is pending.
+ */
+class ShellBridge {
+
+    constructor() {
+        this._queue = [];
+        this._transport = null;
+        this._manifests = [];
+        this._handshakeStarted = false;
+        this._handshakeTimer = null;
+        this._messageCounter = 0;
+        this.protocolVersion = null;
+        this.peerCapabilities = [];
+    }
+
+    /**
+     * @param {Object} transport - The transport to use from now on. The previous one is
+     *   disconnected, so it no longer delivers inbound messages.
+     */
+    useTransport(transport) {
+        if (this._transport && this._transport !== transport && typeof this._transport.disconnect === 'function') {
+            this._transport.disconnect();
+        }
+        this._transport = transport;
+        transport.connect(() => this.flush());
+        this.flush();
+    }
+
+    get transport() {
+        return this._transport;
+    }
+
+    registerAgentlet(manifest) {
+        this._enqueue({ kind: 'register', manifest });
+    }
+
+    /**
+     * Tells the shell an agentlet is gone. If the hello was not sent yet, it no longer lists it.
+     * 
+     * @param {Object} manifest - The microManifest of the agentlet.
+     */
+    unregisterAgentlet(manifest) {
+        const tagName = Agentlet.buildNormalizedTagName(manifest);
+        this._manifests = this._manifests.filter(m => Agentlet.buildNormalizedTagName(m) !== tagName);
+        this._enqueue({ kind: 'unregister', manifest });
+    }
+
+    /**
+     * Sends an already serialized message, bypassing the protocol envelope.
+     * 
+     * @param {string} message - The serialized message.
+     * @param {HTMLElement} [source] - The agentlet element sending it.
+     */
+    sendMessageToShell(message, source) {
+        this._enqueue({ kind: 'raw', message, source });
+    }
+
+    /**
+     * Sends a protocol message. It is wrapped in an envelope, or flattened to the legacy
+     * `{ type, id, ...payload }` format if the shell only speaks protocol 1.0.
+     * 
+     * @param {string} type - The message type.
+     * @param {Object} payload - The message payload.
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.source] - The agentlet element sending it.
+     * @param {string|number} [options.correlationId] - ID of the message being answered.
+     */
+    send(type, payload, options = {}) {
+        this._enqueue({
+            kind: 'envelope',
+            envelope: this._createEnvelope(type, payload, options),
+            source: options.source
+        });
+    }
+
+    get storage() {
+        return this._transport ? this._transport.storage : undefined;
+    }
+
+    /**
+     * Starts the protocol handshake once the shell is attached. Only the first call sends hello;
+     * later calls add their manifest to it if it has not been sent yet.
+     * 
+     * @param {Object} manifest - The microManifest of the agentlet being registered.
+     */
+    handshake(manifest) {
+        this._manifests.push(manifest);
+        this.flush();
+    }
+
+    /**
+     * Completes the handshake with a welcome message. Ignored once a version was negotiated.
+     * 
+     * @param {Object|string|null} welcome - The welcome envelope (or its JSON); null for a legacy shell.
+     * @returns {boolean} True if the message was a welcome.
+     */
+    acceptWelcome(welcome) {
+        if (typeof welcome === 'string') {
+            try {
+                welcome = JSON.parse(welcome);
+            } catch (e) {
+                return false;
+            }
+        }
+        if (welcome !== null && !(isEnvelope(welcome) && welcome.type === 'welcome')) return false;
+        if (this.protocolVersion !== null) return true;
+        clearTimeout(this._handshakeTimer);
+
+        if (welcome === null) {
+            console.log('Agentlet: shell did not answer the handshake, using legacy protocol 1.0.');
+            this._setProtocol('1.0', []);
+            return true;
+        }
+
+        const payload = welcome.payload || {};
+        const offered = payload.protocolVersion ? [payload.protocolVersion] : (payload.protocolVersions || []);
+        const version = SUPPORTED_PROTOCOL_VERSIONS.find(v => offered.includes(v));
+        if (version) {
+            this._setProtocol(version, payload.capabilities || []);
+        } else {
+            console.log(`Agentlet: no common protocol version with the shell (offered: ${offered.join(', ')}), using legacy protocol 1.0.`);
+            this._transport.sendMessage(JSON.stringify({
+                type: 'error',
+                message: `Incompatible protocol versions: shell offered ${offered.join(', ')}, agentlet supports ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}.`
+            }));
+            this._setProtocol('1.0', []);
+        }
+        return true;
+    }
+
+    /**
+     * Sends the buffered messages the shell can receive now, in order.
+     */
+    flush() {
+        if (!this._transport || !this._transport.isReady()) return;
+        if (this._manifests.length > 0 && !this._handshakeStarted) {
+            this._startHandshake();
+        }
+        while (this._queue.length > 0) {
+            const item = this._queue[0];
+            if (item.kind === 'envelope' && this.protocolVersion === null) break;
+            this._queue.shift();
+            this._deliver(item);
+        }
+    }
+
+    _enqueue(item) {
+        this._queue.push(item);
+        this.flush();
+    }
+
+    _deliver(item) {
+        if (item.kind === 'register') {
+            this._transport.registerAgentlet(item.manifest);
+        } else if (item.kind === 'unregister') {
+            if (typeof this._transport.unregisterAgentlet === 'function') {
+                this._transport.unregisterAgentlet(item.manifest);
+            }
+        } else if (item.kind === 'raw') {
+            this._transport.sendMessage(item.message, item.source);
+        } else {
+            this._transport.sendMessage(JSON.stringify(this._format(item.envelope)), item.source);
+        }
+    }
+
+    _startHandshake() {
+        this._handshakeStarted = true;
+        const hello = this._createEnvelope('hello', {
+            protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+            capabilities: AGENTLET_CAPABILITIES,
+            agentlets: this._manifests
+        });
+
+        // Whichever path answers, a shell that never does falls back to protocol 1.0
+        this._handshakeTimer = setTimeout(() => this.acceptWelcome(null), Agentlet.handshakeTimeout);
+        if (typeof this._transport.handshake === 'function') {
+            Promise.resolve(this._transport.handshake(hello))
+                .catch(e => {
+                    console.log(`Agentlet: handshake failed: ${e}`);
+                    return null;
+                })
+                .then(welcome => this.acceptWelcome(welcome || null));
+            return;
+        }
+
+        this._transport.sendMessage(JSON.stringify(hello));
+    }
+
+    _setProtocol(version, capabilities) {
+        this.protocolVersion = version;
+        this.peerCapabilities = capabilities;
+        console.log(`Agentlet: using protocol ${version}`);
+        this.flush();
+    }
+
+    _createEnvelope(type, payload, options = {}) {
+        this._messageCounter += 1;
+        const envelope = {
+            protocolVersion: PROTOCOL_VERSION,
+            type: type,
+            id: `msg-${Date.now()}-${this._messageCounter}`,
+            timestamp: Date.now(),
+            instanceId: options.source ? options.source.instanceId : null,
+            payload: payload
+        };
+        if (options.correlationId !== undefined) envelope.correlationId = options.correlationId;
+        return envelope;
+    }
+
+    /**
+     * Converts an envelope to the negotiated wire format.
+     */
+    _format(envelope) {
+        if (this.protocolVersion !== '1.0') return envelope;
+        const legacy = { type: envelope.type };
+        if (envelope.correlationId !== undefined) legacy.id = envelope.correlationId;
+        if (envelope.instanceId) legacy.instanceId = envelope.instanceId;
+        return { ...legacy, ...envelope.payload };
+    }
+}
+
+/**
+ * Removes the field at `segments` from `target`, walking into every item of the arrays it meets.
+ */
+function removePath(target, segments) {
+    if (Array.isArray(target)) {
+        target.forEach(item => removePath(item, segments));
+        return;
+    }
+    if (target === null || typeof target !== 'object') return;
+    const [head, ...rest] = segments;
+    if (rest.length === 0) {
+        delete target[head];
+    } else {
+        removePath(target[head], rest);
+    }
+}
+
+/**
+ * Returns the `instanceId` a raw inbound message is addressed to, or null.
+ */
+function addressedInstance(message) {
+    try {
+        const parsed = typeof message === 'string' ? JSON.parse(message) : message;
+        return parsed && typeof parsed === 'object' && parsed.instanceId ? parsed.instanceId : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalizes a theme given as a name or as `{ name, properties }`. Unknown names fall back to
+ * "auto"; a theme without a name leaves the `theme` attribute as it is.
+ */
+function normalizeTheme(theme) {
+    const { name, properties } = typeof theme === 'string' ? { name: theme } : theme || {};
+    return {
+        name: typeof name === 'string' && name ? themeName(name) : null,
+        properties: properties && typeof properties === 'object' ? properties : {}
+    };
+}
+
+function themeName(name) {
+    if (name === 'auto' || THEMES.includes(name)) return name;
+    console.log(`WARNING: Agentlet: unknown theme '${name}', using 'auto'. Known themes: ${THEMES.join(', ')}.`);
+    return 'auto';
+}
+
+/**
+ * Tells whether a parsed message is a protocol envelope.
+ * 
+ * @param {any} message - The parsed message.
+ * @returns {boolean} True if it has `protocolVersion` and `type`.
+ */
+function isEnvelope(message) {
+    return !!message && typeof message === 'object' && !!message.protocolVersion && !!message.type;
+}
+
+const shellBridge = new ShellBridge();
+shellBridge.useTransport(new GlobalShellTransport());
+
+/**
+ * Tool declarations per agentlet class, as a Promise while they are loading.
+ * @type {WeakMap<Function, Promise<Array<Object>|null>>}
+ */
+const toolSchemaRegistry = new WeakMap();
+
+/**
+ * Returns the JSON type name of a value, distinguishing integers, arrays and null.
+ * 
+ * @param {any} value - The value to inspect.
+ * @returns {string} One of 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object'.
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used in agentlet manifests:
+ * type, enum, const, pattern, minLength, maxLength, minimum, maximum, properties,
+ * required, additionalProperties, items, minItems and maxItems.
+ * 
+ * @param {any} value - The value to validate.
+ * @param {Object} schema - The JSON Schema.
+ * @param {string} path - The path of the value, used in error messages.
+ * @returns {Array<string>} One message per violated constraint; empty if the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+    const errors = [];
+    const type = jsonTypeOf(value);
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push(`${path} must be of type ${allowed.join(' or ')} (got ${type})`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (type === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(`${path} must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(`${path} must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path} must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(item, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(item, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Error raised when a tool call exceeds its timeout.
+ */
+export class ToolTimeoutError extends Error {
+
+    /**
+     * @param {string} toolName - The tool that timed out.
+     * @param {number} timeout - The timeout in milliseconds.
+     */
+    constructor(toolName, timeout) {
+        super(`Tool '${toolName}' timed out after ${timeout} ms.`);
+        this.name = 'ToolTimeoutError';
+        this.toolName = toolName;
+        this.timeout = timeout;
     }
 }
 
 if (!window.agentlet_shell) {
-    console.log('WARNING: window.agentlet_shell not detected!!!');
+    console.log('WARNING: window.agentlet_shell not detected!!! Messages will be buffered until a shell attaches.');
 }
 
 /**
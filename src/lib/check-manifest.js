@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @author
+ * gigonzalezs [gb@autanalabs.com]
+ */
+
+/**
+ * Checks an agentlet package before it is published.
+ *
+ * Usage:
+ *
+ * node src/lib/check-manifest.js <package directory | agentlet_manifest.json> [module]
+ *
+ * The manifest structure and tag name are always checked. The agentlet module (by default
+ * `agentlet.js` next to the manifest) is then imported in an emulated DOM (jsdom) to compare the
+ * manifest with the class's `agentletId` and declared tools; without jsdom only the manifest
+ * itself is checked.
+ *
+ * The report goes to stdout and whatever the agentlet module logs while loading goes to stderr.
+ * Exits with code 1 if any problem is found.
+ */
+
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { checkManifest, normalizedTagName } from './manifest-checker.js';
+
+const print = line => process.stdout.write(`${line}\n`);
+
+const DOM_GLOBALS = ['window', 'document', 'HTMLElement', 'customElements', 'CustomEvent', 'Event', 'KeyboardEvent', 'Node'];
+
+/**
+ * Imports an agentlet module in a jsdom window and returns the classes it defines.
+ *
+ * @param {string} modulePath - Path of the agentlet module.
+ * @returns {Promise<Array<Function>|null>} The defined element classes, or null without jsdom.
+ */
+async function loadAgentletClasses(modulePath) {
+    let JSDOM;
+    try {
+        ({ JSDOM } = await import('jsdom'));
+    } catch {
+        return null;
+    }
+    const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://localhost/' });
+    for (const name of DOM_GLOBALS) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+    const defined = [];
+    const define = window.customElements.define.bind(window.customElements);
+    window.customElements.define = (name, constructor, options) => {
+        defined.push(constructor);
+        define(name, constructor, options);
+    };
+    // Agentlets load their manifest relative to `import.meta.url`, which Node's fetch cannot read
+    const fetch = globalThis.fetch;
+    globalThis.fetch = (resource, init) => {
+        const url = String(resource instanceof Request ? resource.url : resource);
+        if (!url.startsWith('file:')) return fetch(resource, init);
+        try {
+            return Promise.resolve(new Response(readFileSync(fileURLToPath(url))));
+        } catch (e) {
+            return Promise.resolve(new Response(null, { status: 404 }));
+        }
+    };
+    // The module logs to stderr while it loads and registers, so its diagnostics stay apart from the report
+    const log = console.log;
+    console.log = console.error;
+    try {
+        await import(pathToFileURL(modulePath).href);
+        await new Promise(resolve => setTimeout(resolve));
+    } finally {
+        console.log = log;
+    }
+    return defined;
+}
+
+async function main(args) {
+    if (args.length === 0) {
+        print('Usage: node src/lib/check-manifest.js <package directory | agentlet_manifest.json> [module]');
+        return 2;
+    }
+    const target = resolve(args[0]);
+    if (!existsSync(target)) {
+        print(`${target}: not found`);
+        return 1;
+    }
+    const manifestPath = statSync(target).isDirectory() ? join(target, 'agentlet_manifest.json') : target;
+    const modulePath = args[1] ? resolve(args[1]) : join(dirname(manifestPath), 'agentlet.js');
+
+    let manifest;
+    try {
+        manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    } catch (e) {
+        print(`${manifestPath}: cannot read the manifest: ${e.message}`);
+        return 1;
+    }
+
+    const problems = [];
+    let options = {};
+    if (existsSync(modulePath)) {
+        try {
+            const classes = await loadAgentletClasses(modulePath);
+            if (classes === null) {
+                print('WARNING: jsdom is not installed; the manifest is not compared with the agentlet class.');
+            } else {
+                const agentlet = classes.find(c => c.agentletId && normalizedTagName(c.agentletId) === normalizedTagName(manifest))
+                    || classes.find(c => c.agentletId);
+                if (agentlet) {
+                    problems.push(...checkManifest(agentlet.agentletId).map(problem => `agentletId: ${problem}`));
+                    options = { agentletId: agentlet.agentletId, tools: agentlet.tools ? agentlet.manifestTools : undefined };
+                } else {
+                    problems.push(`${modulePath} does not register any agentlet`);
+                }
+            }
+        } catch (e) {
+            problems.push(`${modulePath} cannot be loaded: ${e.message}`);
+        }
+    } else {
+        print(`WARNING: ${modulePath} not found; the manifest is not compared with the agentlet class.`);
+    }
+    problems.push(...checkManifest(manifest, options));
+
+    if (problems.length === 0) {
+        print(`${manifestPath}: OK (<${normalizedTagName(manifest)}>)`);
+        return 0;
+    }
+    print(`${manifestPath}: ${problems.length} problem(s)`);
+    for (const problem of problems) {
+        print(`  - ${problem}`);
+    }
+    return 1;
+}
+
+// The imported agentlet may leave the handshake fallback timer pending, so exit explicitly.
+process.exit(await main(process.argv.slice(2)));
@@ -0,0 +1,239 @@
+/**
+ * @license
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @author
+ * gigonzalezs [gb@autanalabs.com]
+ */
+
+/**
+ * Agentlet manifest consistency checker.
+ *
+ * An agentlet declares its identity twice: the microManifest returned by the class's
+ * `agentletId` getter (`manifestVersion: '1.1.0-mini'`) and the full `agentlet_manifest.json`
+ * (`manifestVersion: '1.1.0'`), which adds `tools`, `behavior_prompt`, `iconURL`... These
+ * functions validate the structure of either one, check that both agree and that the tag name
+ * built from them is a valid custom element name.
+ *
+ * The module has no DOM dependencies: `Agentlet.register` and `Agentlet.loadManifest` use it in
+ * the browser, and `check-manifest.js` runs it from Node before a package is published.
+ *
+ * Every check returns a list of problems as readable strings; an empty list means it passed.
+ */
+
+/**
+ * Manifest fields that identify the agentlet and must match between both manifests.
+ */
+export const IDENTITY_FIELDS = ['name', 'version', 'groupId', 'artifactId', 'tagName'];
+
+/**
+ * Suffix of the microManifest version: '1.1.0-mini' describes the same format as '1.1.0'.
+ */
+export const MINI_SUFFIX = '-mini';
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+const MANIFEST_VERSION_PATTERN = /^\d+\.\d+\.\d+(-mini)?$/;
+
+// Names reserved by the HTML and SVG specs, which custom elements cannot use.
+const RESERVED_TAG_NAMES = [
+    'annotation-xml', 'color-profile', 'font-face', 'font-face-src',
+    'font-face-uri', 'font-face-format', 'font-face-name', 'missing-glyph'
+];
+
+// PotentialCustomElementName characters after the first one (HTML spec).
+const TAG_NAME_CHAR = /^[-._0-9a-z·À-ÖØ-öø-ͽͿ-῿‌-‍‿-⁀⁰-↏Ⰰ-⿯、-퟿豈-﷏ﷰ-�\u{10000}-\u{EFFFF}]$/u;
+
+/**
+ * Builds the custom element tag name of an agentlet: `groupId-artifactId-tagName-version`,
+ * with dots replaced by hyphens.
+ *
+ * @param {Object} manifest - A manifest with groupId, artifactId, tagName and version.
+ * @returns {string} The tag name.
+ */
+export function normalizedTagName(manifest) {
+    const part = value => String(value ?? '').replaceAll('.', '-');
+    return `${part(manifest.groupId)}-${part(manifest.artifactId)}-${part(manifest.tagName)}-${part(manifest.version)}`;
+}
+
+/**
+ * Checks the rules of valid custom element names: a lowercase ASCII letter first, at least one
+ * hyphen, no uppercase ASCII letters, only the allowed characters and not a reserved name.
+ *
+ * @param {string} tagName - The tag name to check.
+ * @returns {Array<string>} The problems found.
+ */
+export function validateTagName(tagName) {
+    const problems = [];
+    const label = `tag name <${tagName}>`;
+    if (!/^[a-z]/.test(tagName)) problems.push(`${label} must start with a lowercase ASCII letter`);
+    if (!tagName.includes('-')) problems.push(`${label} must contain a hyphen`);
+    if (/[A-Z]/.test(tagName)) problems.push(`${label} must not contain uppercase ASCII letters`);
+    const invalid = [...new Set(Array.from(tagName.slice(1)).filter(ch => !/[A-Z]/.test(ch) && !TAG_NAME_CHAR.test(ch)))];
+    if (invalid.length > 0) {
+        problems.push(`${label} contains characters not allowed in custom element names: ${invalid.map(ch => JSON.stringify(ch)).join(', ')}`);
+    }
+    if (RESERVED_TAG_NAMES.includes(tagName)) problems.push(`${label} is reserved`);
+    return problems;
+}
+
+/**
+ * Validates the structure of a full manifest or a microManifest. Only the identity fields and
+ * `manifestVersion` are required; the optional sections are checked when present.
+ *
+ * @param {Object} manifest - The parsed manifest.
+ * @returns {Array<string>} The problems found.
+ */
+export function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['the manifest must be a JSON object'];
+    }
+    const problems = [];
+    for (const field of ['manifestVersion', ...IDENTITY_FIELDS]) {
+        if (typeof manifest[field] !== 'string' || manifest[field].trim() === '') {
+            problems.push(`${field} is required and must be a non-empty string`);
+        } else if (/\s/.test(manifest[field]) && field !== 'name') {
+            problems.push(`${field} must not contain whitespace`);
+        }
+    }
+    if (typeof manifest.manifestVersion === 'string' && !MANIFEST_VERSION_PATTERN.test(manifest.manifestVersion)) {
+        problems.push(`manifestVersion '${manifest.manifestVersion}' must look like 1.1.0 or 1.1.0${MINI_SUFFIX}`);
+    }
+    if (typeof manifest.version === 'string' && !VERSION_PATTERN.test(manifest.version)) {
+        problems.push(`version '${manifest.version}' must be a semantic version such as 1.0.0`);
+    }
+    for (const field of ['description', 'iconURL', 'defaultLocale']) {
+        if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+            problems.push(`${field} must be a string`);
+        }
+    }
+    if (manifest.locales !== undefined) {
+        if (!isStringArray(manifest.locales)) {
+            problems.push('locales must be an array of strings');
+        } else if (manifest.defaultLocale !== undefined && !manifest.locales.includes(manifest.defaultLocale)) {
+            problems.push(`defaultLocale '${manifest.defaultLocale}' is not listed in locales`);
+        }
+    }
+    const prompt = manifest.behavior_prompt;
+    if (prompt !== undefined && typeof prompt !== 'string' && !isStringArray(prompt)) {
+        problems.push('behavior_prompt must be a string or an array of strings');
+    }
+    if (manifest.tools !== undefined) {
+        problems.push(...validateTools(manifest.tools));
+    }
+    return problems;
+}
+
+/**
+ * Compares a manifest with the class's microManifest (`agentletId`). The identity fields must
+ * be equal, and both `manifestVersion` values must name the same format once the `-mini`
+ * suffix is removed.
+ *
+ * @param {Object} manifest - The full manifest.
+ * @param {Object} agentletId - The microManifest declared by the class.
+ * @returns {Array<string>} The mismatches found.
+ */
+export function compareWithAgentletId(manifest, agentletId) {
+    const problems = [];
+    for (const field of IDENTITY_FIELDS) {
+        if (manifest[field] !== agentletId[field]) {
+            problems.push(`${field} is ${JSON.stringify(manifest[field])} in the manifest but ${JSON.stringify(agentletId[field])} in agentletId`);
+        }
+    }
+    const base = version => String(version ?? '').replace(new RegExp(`${MINI_SUFFIX}$`), '');
+    if (base(manifest.manifestVersion) !== base(agentletId.manifestVersion)) {
+        problems.push(`manifestVersion '${manifest.manifestVersion}' does not match agentletId's '${agentletId.manifestVersion}'`);
+    }
+    return problems;
+}
+
+/**
+ * Compares the manifest `tools` with the tools declared by the class (`manifestTools`).
+ *
+ * @param {Array<Object>} manifestTools - The manifest `tools` section.
+ * @param {Array<Object>} declaredTools - The tools generated from the class.
+ * @returns {Array<string>} The mismatches found.
+ */
+export function compareTools(manifestTools, declaredTools) {
+    const problems = [];
+    const listed = new Map((manifestTools || []).map(tool => [tool.name, tool]));
+    for (const tool of declaredTools) {
+        const entry = listed.get(tool.name);
+        if (!entry) {
+            problems.push(`tool '${tool.name}' is declared by the class but missing from the manifest`);
+        } else if (JSON.stringify(sortKeys(entry)) !== JSON.stringify(sortKeys(tool))) {
+            problems.push(`tool '${tool.name}' differs between the manifest and the class`);
+        }
+        listed.delete(tool.name);
+    }
+    for (const name of listed.keys()) {
+        problems.push(`tool '${name}' is listed in the manifest but not declared by the class`);
+    }
+    return problems;
+}
+
+/**
+ * Runs every check on a manifest: its structure, its tag name and, when given, its agreement
+ * with the class's `agentletId` and declared tools.
+ *
+ * @param {Object} manifest - The full manifest or a microManifest.
+ * @param {Object} [options]
+ * @param {Object} [options.agentletId] - The microManifest to compare with.
+ * @param {Array<Object>} [options.tools] - The tools declared by the class.
+ * @returns {Array<string>} The problems found.
+ */
+export function checkManifest(manifest, { agentletId, tools } = {}) {
+    const problems = validateManifest(manifest);
+    if (problems.length > 0 && problems[0] === 'the manifest must be a JSON object') return problems;
+    problems.push(...validateTagName(normalizedTagName(manifest)));
+    if (agentletId) problems.push(...compareWithAgentletId(manifest, agentletId));
+    if (tools) problems.push(...compareTools(manifest.tools, tools));
+    return problems;
+}
+
+function validateTools(tools) {
+    if (!Array.isArray(tools)) return ['tools must be an array'];
+    const problems = [];
+    const seen = new Set();
+    tools.forEach((tool, index) => {
+        const label = `tools[${index}]`;
+        if (!tool || typeof tool !== 'object') {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof tool.name !== 'string' || !tool.name.startsWith('agentlet_')) {
+            problems.push(`${label}.name must be a string starting with 'agentlet_'`);
+        } else if (seen.has(tool.name)) {
+            problems.push(`${label}.name '${tool.name}' is repeated`);
+        }
+        seen.add(tool.name);
+        if (typeof tool.description !== 'string' || tool.description.trim() === '') {
+            problems.push(`${label}.description is required and must be a non-empty string`);
+        }
+        const parameters = tool.parameters;
+        if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || parameters.type !== 'object')) {
+            problems.push(`${label}.parameters must be a JSON schema of type 'object'`);
+        }
+    });
+    return problems;
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// Copy with sorted keys, so JSON objects compare regardless of key order.
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
@@ -0,0 +1,252 @@
+/**
+ * @license
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * @author
+ * gigonzalezs [gb@autanalabs.com]
+ */
+
+import { SHELL_READY_EVENT } from './agentlet-1.0.0.js';
+
+/**
+ * In-memory shell for tests and demo pages.
+ *
+ * It plays the role of `window.agentlet_shell`: it records every `registerAgentlet`,
+ * `unregisterAgentlet` and `sendMessageToShell` call, answers the protocol handshake and can send instructions to an
+ * agentlet through its `message` attribute, the same way a real shell does.
+ *
+ * Usage:
+ *
+ * const shell = new MockShell().install(window);
+ * const element = document.createElement('io-ggobuk-hangman-hang-man-0-1-1');
+ * document.body.appendChild(element);
+ * const result = await shell.callTool(element, 'agentlet_startTurnAsUser', { word: 'gato' });
+ * // result => { status: 'OK', message: '...', response: ... }
+ *
+ * Messages are stored normalized to the legacy shape (`{ type, id, ...payload }`) whatever the
+ * negotiated protocol, so assertions do not depend on it; `raw` keeps them as they arrived.
+ */
+export class MockShell {
+
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.protocolVersion='1.1'] - Version answered in the handshake;
+     *        null behaves like a legacy shell without `handshake()`.
+     * @param {Storage} [options.storage] - Storage exposed to agentlets; in-memory by default.
+     */
+    constructor(options = {}) {
+        this.protocolVersion = options.protocolVersion === undefined ? '1.1' : options.protocolVersion;
+        this.storage = options.storage || new MemoryStorage();
+        this.registrations = [];
+        this.unregistrations = [];
+        this.messages = [];
+        this.raw = [];
+        this.hellos = [];
+        this._waiters = [];
+        this._callCounter = 0;
+        if (this.protocolVersion === null) {
+            this.handshake = undefined;
+        }
+    }
+
+    /**
+     * Installs the shell as `window.agentlet_shell` and announces it with the ready event.
+     *
+     * @param {Window} win - The window to install into.
+     * @returns {MockShell} This shell, for chaining.
+     */
+    install(win) {
+        win.agentlet_shell = this;
+        win.dispatchEvent(new win.Event(SHELL_READY_EVENT));
+        return this;
+    }
+
+    registerAgentlet(manifest) {
+        this.registrations.push(manifest);
+    }
+
+    unregisterAgentlet(manifest) {
+        this.unregistrations.push(manifest);
+    }
+
+    /**
+     * Answers the agentlet's hello with a welcome for `protocolVersion`.
+     *
+     * @param {Object} hello - The hello envelope.
+     * @returns {Object} The welcome envelope.
+     */
+    handshake(hello) {
+        this.hellos.push(hello);
+        return {
+            protocolVersion: this.protocolVersion,
+            type: 'welcome',
+            id: `welcome-${this.hellos.length}`,
+            timestamp: Date.now(),
+            instanceId: null,
+            payload: { protocolVersion: this.protocolVersion, capabilities: ['mock-shell'] }
+        };
+    }
+
+    sendMessageToShell(message) {
+        const parsed = JSON.parse(message);
+        this.raw.push(parsed);
+        const normalized = normalizeMessage(parsed);
+        this.messages.push(normalized);
+        this._waiters = this._waiters.filter(waiter => {
+            if (!waiter.predicate(normalized)) return true;
+            clearTimeout(waiter.timer);
+            waiter.resolve(normalized);
+            return false;
+        });
+    }
+
+    /**
+     * Sends a message to an element through its `message` attribute.
+     *
+     * @param {HTMLElement} element - The agentlet element.
+     * @param {Object|string} message - The message; objects are serialized as JSON.
+     */
+    send(element, message) {
+        element.setAttribute('message', typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    /**
+     * Pushes a theme with a protocol `theme` message. Without `instanceId` the agentlet applies
+     * it to every element on the page.
+     *
+     * @param {HTMLElement} element - The agentlet element that receives the message.
+     * @param {string|Object} theme - A theme name, or `{ name, properties }`.
+     * @param {string} [instanceId] - Instance that should apply it alone.
+     */
+    sendTheme(element, theme, instanceId = null) {
+        this.send(element, {
+            protocolVersion: '1.1',
+            type: 'theme',
+            id: `theme-${++this._callCounter}`,
+            timestamp: Date.now(),
+            instanceId: instanceId,
+            payload: typeof theme === 'string' ? { name: theme } : theme
+        });
+    }
+
+    /**
+     * Sends a tool instruction and waits for its `tool_response`.
+     *
+     * @param {HTMLElement} element - The agentlet element.
+     * @param {string} tool - The tool name.
+     * @param {Object} [params={}] - The tool parameters.
+     * @param {Object} [options]
+     * @param {string} [options.id] - The call ID; generated if omitted.
+     * @param {number} [options.timeout] - Timeout passed to the agentlet.
+     * @param {number} [options.wait=1000] - Milliseconds to wait for the response.
+     * @returns {Promise<Object>} The tool result (`{ status, message, response }`).
+     */
+    async callTool(element, tool, params = {}, options = {}) {
+        this._callCounter += 1;
+        const id = options.id || `mock-call-${this._callCounter}`;
+        const response = this.waitForMessage(m => m.type === 'tool_response' && m.id === id, options.wait);
+        const call = { tool, params, id };
+        if (options.timeout !== undefined) call.timeout = options.timeout;
+        this.send(element, call);
+        return (await response).response;
+    }
+
+    /**
+     * Resolves with the first recorded message matching the predicate, including past ones.
+     *
+     * @param {Function} predicate - Called with each normalized message.
+     * @param {number} [timeout=1000] - Milliseconds before rejecting.
+     * @returns {Promise<Object>} The matching message.
+     */
+    waitForMessage(predicate, timeout = 1000) {
+        const found = this.messages.find(predicate);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve, reject) => {
+            const waiter = { predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                this._waiters = this._waiters.filter(w => w !== waiter);
+                reject(new Error(`MockShell: no matching message after ${timeout} ms`));
+            }, timeout);
+            this._waiters.push(waiter);
+        });
+    }
+
+    /**
+     * @param {string} type - The message type.
+     * @returns {Array<Object>} The recorded messages of that type.
+     */
+    messagesOfType(type) {
+        return this.messages.filter(m => m.type === type);
+    }
+
+    /**
+     * @returns {Array<string>} The text of the recorded `message` notifications.
+     */
+    get notifications() {
+        return this.messagesOfType('message').map(m => m.message);
+    }
+
+    /**
+     * Forgets the recorded messages and clears the storage. Registrations are kept, since
+     * custom elements are only registered once per document.
+     */
+    clear() {
+        this.messages = [];
+        this.raw = [];
+        this.storage.clear();
+    }
+}
+
+/**
+ * Minimal synchronous Web Storage implementation.
+ */
+export class MemoryStorage {
+
+    constructor() {
+        this._items = new Map();
+    }
+
+    get length() {
+        return this._items.size;
+    }
+
+    key(index) {
+        return Array.from(this._items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+
+    clear() {
+        this._items.clear();
+    }
+}
+
+/**
+ * Flattens a protocol envelope to the legacy `{ type, id, ...payload }` shape.
+ */
+function normalizeMessage(message) {
+    if (!message || typeof message !== 'object' || !message.protocolVersion) return message;
+    const normalized = { type: message.type };
+    if (message.correlationId !== undefined) normalized.id = message.correlationId;
+    return { ...normalized, ...message.payload, instanceId: message.instanceId };
+}
@@ -0,0 +1,320 @@
+/**
+ * Banco de pruebas genérico para agentlets.
+ *
+ * Lee un agentlet_manifest.json, carga el módulo del agentlet, monta el elemento con su tag
+ * normalizado y genera un formulario por cada tool a partir del esquema de sus parámetros.
+ * Las llamadas viajan por el camino real: el atributo `message` hacia el agentlet y el shell
+ * (`window.agentlet_shell`) de vuelta. Cada sobre entrante o saliente queda en una línea de
+ * tiempo que se puede exportar como JSON y volver a reproducir.
+ *
+ * Parámetros de la URL:
+ * - manifest: URL del manifest (por defecto el del ahorcado).
+ * - module: URL del módulo del agentlet (por defecto `agentlet.js` junto al manifest, o el
+ *   campo `module` del manifest si existe).
+ */
+import { Agentlet, PROTOCOL_VERSION } from '../lib/agentlet-1.0.0.js';
+import { MockShell } from '../lib/mock-shell.js';
+
+const DEFAULT_MANIFEST = '../hang-man/agentlet_manifest.json';
+
+/**
+ * Shell del banco de pruebas: además de lo que registra MockShell, anota en la línea de
+ * tiempo cada mensaje en ambos sentidos.
+ */
+export class PlaygroundShell extends MockShell {
+
+    constructor(options = {}) {
+        super(options);
+        this.timeline = [];
+        this.onEntry = null;
+    }
+
+    registerAgentlet(manifest) {
+        super.registerAgentlet(manifest);
+        this._record('out', { type: 'register', manifest });
+    }
+
+    unregisterAgentlet(manifest) {
+        super.unregisterAgentlet(manifest);
+        this._record('out', { type: 'unregister', manifest });
+    }
+
+    handshake(hello) {
+        this._record('out', hello);
+        const welcome = super.handshake(hello);
+        this._record('in', welcome);
+        return welcome;
+    }
+
+    sendMessageToShell(message) {
+        this._record('out', JSON.parse(message));
+        super.sendMessageToShell(message);
+    }
+
+    send(element, message) {
+        this._record('in', typeof message === 'string' ? message : structuredClone(message));
+        super.send(element, message);
+    }
+
+    /**
+     * Arma una tool call con el formato del protocolo negociado.
+     *
+     * @param {HTMLElement} element - El agentlet destino.
+     * @param {string} tool - Nombre de la tool.
+     * @param {Object} params - Parámetros de la tool.
+     * @returns {Object} La instrucción lista para `send`.
+     */
+    buildToolCall(element, tool, params) {
+        this._callCounter += 1;
+        const id = `playground-${this._callCounter}`;
+        if (Agentlet.shell.protocolVersion === '1.0') {
+            return { tool, params, id };
+        }
+        return {
+            protocolVersion: PROTOCOL_VERSION,
+            type: 'tool_call',
+            id: id,
+            timestamp: Date.now(),
+            instanceId: element.instanceId,
+            payload: { tool, params }
+        };
+    }
+
+    /**
+     * Vuelve a enviar, en orden, los mensajes entrantes de una línea de tiempo exportada.
+     * Espera la respuesta de cada tool call antes de enviar la siguiente.
+     *
+     * @param {HTMLElement} element - El agentlet destino.
+     * @param {Array<Object>} entries - Entradas de la línea de tiempo.
+     */
+    async replay(element, entries) {
+        const inbound = entries.filter(entry => entry.direction === 'in' && !isWelcome(entry.data));
+        for (const entry of inbound) {
+            const message = typeof entry.data === 'string' ? entry.data : { ...entry.data };
+            const callId = toolCallId(message);
+            if (callId !== null) {
+                message.id = `${callId}-replay-${Date.now()}`;
+                if (message.timestamp) message.timestamp = Date.now();
+            }
+            const response = callId === null ? null
+                : this.waitForMessage(m => m.type === 'tool_response' && m.id === message.id, 5000);
+            this.send(element, message);
+            if (response) await response.catch(() => null);
+        }
+    }
+
+    /**
+     * @returns {string} La línea de tiempo en JSON, para descargar.
+     */
+    exportTimeline() {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), entries: this.timeline }, null, 2);
+    }
+
+    _record(direction, data) {
+        const entry = { direction, time: Date.now(), data };
+        this.timeline.push(entry);
+        if (this.onEntry) this.onEntry(entry);
+    }
+}
+
+/**
+ * Genera el formulario de una tool a partir de su esquema de parámetros.
+ *
+ * @param {Object} tool - La tool del manifest (`{ name, description, parameters }`).
+ * @returns {HTMLFormElement} El formulario; cada campo lleva `data-param` y `data-type`.
+ */
+export function buildToolForm(tool) {
+    const form = document.createElement('form');
+    form.className = 'tool';
+    form.dataset.tool = tool.name;
+    // Las restricciones del esquema quedan como pistas en los campos, pero no bloquean el
+    // envío: también hay que poder probar cómo responde el agentlet a parámetros inválidos.
+    form.noValidate = true;
+
+    const title = document.createElement('h3');
+    title.textContent = tool.name;
+    form.appendChild(title);
+    if (tool.description) {
+        const description = document.createElement('p');
+        description.className = 'description';
+        description.textContent = tool.description;
+        form.appendChild(description);
+    }
+
+    const schema = tool.parameters || {};
+    const required = schema.required || [];
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        const label = document.createElement('label');
+        const caption = document.createElement('span');
+        caption.textContent = required.includes(name) ? `${name} *` : name;
+        label.appendChild(caption);
+        const field = buildField(property);
+        field.dataset.param = name;
+        field.required = required.includes(name) && field.type !== 'checkbox';
+        if (property.description) field.title = property.description;
+        label.appendChild(field);
+        form.appendChild(label);
+    }
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Enviar';
+    form.appendChild(submit);
+    return form;
+}
+
+/**
+ * Lee los parámetros de un formulario generado por buildToolForm. Los campos opcionales
+ * vacíos se omiten; la validación queda a cargo del agentlet.
+ *
+ * @param {HTMLFormElement} form - El formulario.
+ * @returns {Object} Los parámetros de la tool.
+ * @throws {SyntaxError} Si un campo JSON no es válido.
+ */
+export function readToolForm(form) {
+    const params = {};
+    for (const field of form.querySelectorAll('[data-param]')) {
+        const name = field.dataset.param;
+        const type = field.dataset.type;
+        if (type === 'boolean') {
+            params[name] = field.checked;
+        } else if (field.value === '') {
+            continue;
+        } else if (type === 'integer' || type === 'number') {
+            params[name] = Number(field.value);
+        } else if (type === 'json') {
+            params[name] = JSON.parse(field.value);
+        } else {
+            params[name] = field.value;
+        }
+    }
+    return params;
+}
+
+function buildField(property) {
+    const type = Array.isArray(property.type) ? property.type[0] : property.type;
+    let field;
+    if (Array.isArray(property.enum)) {
+        field = document.createElement('select');
+        for (const value of ['', ...property.enum]) {
+            const option = document.createElement('option');
+            option.value = option.textContent = String(value);
+            field.appendChild(option);
+        }
+        field.dataset.type = type || 'string';
+    } else if (type === 'boolean') {
+        field = document.createElement('input');
+        field.type = 'checkbox';
+        field.dataset.type = 'boolean';
+    } else if (type === 'integer' || type === 'number') {
+        field = document.createElement('input');
+        field.type = 'number';
+        field.step = type === 'integer' ? '1' : 'any';
+        if (property.minimum !== undefined) field.min = property.minimum;
+        if (property.maximum !== undefined) field.max = property.maximum;
+        field.dataset.type = type;
+    } else if (type === 'string') {
+        field = document.createElement('input');
+        field.type = 'text';
+        if (property.pattern) field.pattern = property.pattern;
+        if (property.minLength !== undefined) field.minLength = property.minLength;
+        if (property.maxLength !== undefined) field.maxLength = property.maxLength;
+        field.dataset.type = 'string';
+    } else {
+        field = document.createElement('textarea');
+        field.placeholder = type === 'array' ? '[ ]' : '{ }';
+        field.dataset.type = 'json';
+    }
+    return field;
+}
+
+function isWelcome(data) {
+    return !!data && typeof data === 'object' && data.type === 'welcome';
+}
+
+function toolCallId(message) {
+    if (!message || typeof message !== 'object') return null;
+    if (message.type === 'tool_call' || message.tool) return message.id ?? null;
+    return null;
+}
+
+/**
+ * Arranca el banco de pruebas en la página actual.
+ *
+ * @param {Object} elements - Contenedores de la página: `{ header, stage, theme, tools, timeline, raw, exportButton, replayInput, replayButton, clearButton }`.
+ * @param {URLSearchParams} [query] - Parámetros de la URL.
+ */
+export async function startPlayground(elements, query = new URLSearchParams(location.search)) {
+    const shell = new PlaygroundShell();
+    shell.onEntry = entry => elements.timeline.appendChild(renderEntry(entry));
+    shell.install(window);
+
+    const manifestUrl = new URL(query.get('manifest') || DEFAULT_MANIFEST, location.href);
+    const manifest = await fetch(manifestUrl).then(res => res.json());
+    const moduleUrl = new URL(query.get('module') || manifest.module || 'agentlet.js', manifestUrl);
+    await import(moduleUrl.href);
+
+    const tagName = Agentlet.buildNormalizedTagName(manifest);
+    elements.header.textContent = `${manifest.name} ${manifest.version} — <${tagName}>`;
+    const element = document.createElement(tagName);
+    elements.stage.appendChild(element);
+
+    for (const tool of manifest.tools || []) {
+        const form = buildToolForm(tool);
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            try {
+                shell.send(element, shell.buildToolCall(element, tool.name, readToolForm(form)));
+            } catch (e) {
+                alert(`Parámetros inválidos: ${e.message}`);
+            }
+        });
+        elements.tools.appendChild(form);
+    }
+
+    // El tema se envía como lo haría un shell: un mensaje `theme` para todos los agentlets
+    if (elements.theme) {
+        elements.theme.addEventListener('change', () => shell.sendTheme(element, { name: elements.theme.value || 'auto' }));
+    }
+
+    elements.raw.addEventListener('submit', event => {
+        event.preventDefault();
+        const text = elements.raw.querySelector('textarea').value;
+        if (text) shell.send(element, text);
+    });
+    elements.exportButton.addEventListener('click', () => {
+        const blob = new Blob([shell.exportTimeline()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${manifest.artifactId}-timeline.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+    elements.replayButton.addEventListener('click', async () => {
+        const file = elements.replayInput.files[0];
+        const entries = file ? JSON.parse(await file.text()).entries : shell.timeline.slice();
+        await shell.replay(element, entries);
+    });
+    elements.clearButton.addEventListener('click', () => {
+        shell.timeline = [];
+        elements.timeline.innerHTML = '';
+    });
+
+    return { shell, element, manifest };
+}
+
+function renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = entry.direction;
+    const data = entry.data;
+    const type = typeof data === 'string' ? 'texto' : (data.type || (data.tool ? 'tool_call' : 'mensaje'));
+    const summary = document.createElement('summary');
+    summary.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.direction === 'in' ? '→ agentlet' : '← agentlet'} ${type}`;
+    const details = document.createElement('details');
+    details.appendChild(summary);
+    const body = document.createElement('pre');
+    body.textContent = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    details.appendChild(body);
+    item.appendChild(details);
+    return item;
+}
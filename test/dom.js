@@ -0,0 +1,23 @@
+/**
+ * Entorno DOM emulado (jsdom) para las pruebas headless.
+ * Debe importarse antes que cualquier agentlet: la librería usa `window` al cargarse.
+ */
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true
+});
+
+export const window = dom.window;
+
+for (const name of ['window', 'document', 'HTMLElement', 'customElements', 'CustomEvent', 'Event', 'KeyboardEvent', 'Node']) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+}
+
+/**
+ * Espera a que se resuelvan las tool calls asíncronas y los mensajes encolados.
+ */
+export function tick(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
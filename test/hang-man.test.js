@@ -0,0 +1,820 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { window, tick } from './dom.js';
+import { MockShell } from '../src/lib/mock-shell.js';
+import { Agentlet } from '../src/lib/agentlet-1.0.0.js';
+import { checkManifest } from '../src/lib/manifest-checker.js';
+import { LOCALES } from '../src/hang-man/locales.js';
+import { WORD_BANK, pickWord, setDictionary, isDictionaryWord } from '../src/hang-man/words.js';
+
+const shell = new MockShell().install(window);
+await import('../src/hang-man/agentlet.js');
+
+const TAG = 'io-ggobuk-hangman-hang-man-0-1-1';
+const es = LOCALES.es;
+let board;
+
+function createBoard(attributes = {}) {
+    const element = document.createElement(TAG);
+    for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+    document.body.appendChild(element);
+    return element;
+}
+
+// El tablero se redibuja en un microtask; los helpers esperan a que termine
+async function pressKey(letter) {
+    board.shadowRoot.querySelector(`.key[data-letter="${letter}"]`).click();
+    await board.renderComplete;
+}
+
+async function typeKey(key) {
+    board.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+    await board.renderComplete;
+}
+
+// Jugada de la IA seguida de la aprobación del usuario con el botón "Continuar"
+async function aiGuess(letter) {
+    const result = await shell.callTool(board, 'agentlet_guessLetter', { letter });
+    await approveAIMove();
+    return result;
+}
+
+async function approveAIMove() {
+    await board.renderComplete;
+    const button = board.shadowRoot.getElementById('gateContinueBtn');
+    if (button) button.click();
+    await board.renderComplete;
+}
+
+// Simula una recarga de la página: los tableros desaparecen y los instanceId generados vuelven a empezar
+async function reloadBoard() {
+    document.querySelectorAll(TAG).forEach(element => element.remove());
+    Agentlet._instanceCounters.clear();
+    board = createBoard();
+    await tick();
+}
+
+function maskedWord() {
+    return board.shadowRoot.querySelector('.word').textContent;
+}
+
+beforeEach(async () => {
+    shell.clear();
+    Agentlet._instanceCounters.clear();
+    board = createBoard();
+    await tick();
+});
+
+afterEach(() => {
+    document.querySelectorAll(TAG).forEach(element => element.remove());
+});
+
+test('registra el agentlet con el tag normalizado', () => {
+    assert.equal(shell.registrations.length, 1);
+    const manifest = shell.registrations[0];
+    assert.equal(Agentlet.buildNormalizedTagName(manifest), TAG);
+    assert.ok(customElements.get(TAG));
+});
+
+test('index.html usa el tag registrado', () => {
+    const html = readFileSync(new URL('../src/hang-man/index.html', import.meta.url), 'utf8');
+    const tags = [...html.matchAll(/io-ggobuk-[a-z0-9-]+/g)].map(m => m[0]);
+    assert.ok(tags.length > 0);
+    for (const tag of tags) assert.equal(tag, TAG);
+});
+
+test('el manifest declara las mismas tools que el agentlet', () => {
+    const manifest = JSON.parse(readFileSync(new URL('../src/hang-man/agentlet_manifest.json', import.meta.url), 'utf8'));
+    assert.deepEqual(manifest.tools, customElements.get(TAG).manifestTools);
+});
+
+test('el manifest coincide con el agentletId de la clase', async () => {
+    const HangmanAgentlet = customElements.get(TAG);
+    const manifest = JSON.parse(readFileSync(new URL('../src/hang-man/agentlet_manifest.json', import.meta.url), 'utf8'));
+    assert.deepEqual(checkManifest(manifest, { agentletId: HangmanAgentlet.agentletId, tools: HangmanAgentlet.manifestTools }), []);
+    assert.deepEqual(checkManifest(HangmanAgentlet.agentletId), []);
+
+    const { problems } = await HangmanAgentlet.loadManifest(manifest);
+    assert.deepEqual(problems, []);
+    assert.equal(shell.messagesOfType('error').length, 0);
+});
+
+test('las respuestas llegan en sobres del protocolo negociado', async () => {
+    await shell.callTool(board, 'agentlet_getGameState');
+    const envelope = shell.raw.at(-1);
+    assert.equal(envelope.protocolVersion, '1.1');
+    assert.equal(envelope.type, 'tool_response');
+    assert.equal(envelope.instanceId, board.instanceId);
+    assert.equal(shell.hellos.length, 1);
+});
+
+test('cada tablero tiene un instanceId estable en su atributo', async () => {
+    assert.equal(board.getAttribute('instance-id'), board.instanceId);
+    assert.ok(board.instanceId.startsWith(`${TAG}-`));
+    const named = createBoard({ 'instance-id': 'tablero-a' });
+    await tick();
+    assert.equal(named.instanceId, 'tablero-a');
+    const connected = shell.messagesOfType('instance_connected').at(-1);
+    assert.equal(connected.instanceId, 'tablero-a');
+    assert.equal(connected.tagName, TAG);
+});
+
+test('quitar el tablero avisa al shell', async () => {
+    board.remove();
+    await tick();
+    const disconnected = shell.messagesOfType('instance_disconnected').at(-1);
+    assert.equal(disconnected.instanceId, board.instanceId);
+});
+
+test('los mensajes se enrutan por instanceId', async () => {
+    const other = createBoard({ 'instance-id': 'tablero-b' });
+    await tick();
+    shell.send(board, {
+        protocolVersion: '1.1',
+        type: 'tool_call',
+        id: 'para-b',
+        timestamp: Date.now(),
+        instanceId: 'tablero-b',
+        payload: { tool: 'agentlet_startTurnAsUser', params: { word: 'gato' } }
+    });
+    await tick();
+    assert.equal(shell.messagesOfType('tool_response').length, 0);
+
+    await shell.callTool(other, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const [response] = shell.messagesOfType('tool_response');
+    assert.equal(response.instanceId, 'tablero-b');
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.started, false);
+});
+
+test('los tableros con instance-id guardan su propio estado', async () => {
+    const first = createBoard({ 'instance-id': 'tablero-c' });
+    await tick();
+    await shell.callTool(first, 'agentlet_startTurnAsUser', { word: 'gato' });
+    first.remove();
+
+    const second = createBoard({ 'instance-id': 'tablero-d' });
+    const restored = createBoard({ 'instance-id': 'tablero-c' });
+    await tick();
+    assert.equal((await shell.callTool(second, 'agentlet_getGameState')).response.started, false);
+    assert.equal((await shell.callTool(restored, 'agentlet_getGameState')).response.started, true);
+});
+
+test('startTurnAsUser inicia el turno del usuario', async () => {
+    const result = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    assert.equal(result.status, 'OK');
+    assert.ok(result.message.startsWith(es.messages.gameStartedUser));
+    assert.equal(maskedWord(), '_ _ _ _');
+
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.turn, 'user');
+    assert.equal(state.response.wordLength, 4);
+    assert.equal(JSON.stringify(state).includes('gato'), false);
+});
+
+test('startTurnAsUser rechaza palabras inválidas', async () => {
+    const result = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'ga7o' });
+    assert.equal(result.status, 'ERROR');
+    assert.match(result.message, /Invalid parameters for tool 'agentlet_startTurnAsUser'/);
+});
+
+test('submitSecretWord inicia el turno de la IA', async () => {
+    const result = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    assert.equal(result.status, 'OK');
+    assert.ok(result.message.startsWith(es.messages.gameStartedAI));
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.turn, 'ai');
+});
+
+test('submitSecretWord no devuelve la palabra al shell', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' }, { id: 'secreto' });
+    const response = shell.messages.find(m => m.id === 'secreto');
+    assert.deepEqual(response.params, {});
+    assert.equal(JSON.stringify(shell.raw).includes('sol'), false);
+});
+
+test('el usuario escribe la palabra secreta en el tablero', async () => {
+    const result = await shell.callTool(board, 'agentlet_requestSecretWord');
+    assert.equal(result.message, es.messages.secretEntryRequested);
+
+    const input = board.shadowRoot.getElementById('secretInput');
+    assert.equal(input.type, 'password');
+    input.value = 'ga7o';
+    board.shadowRoot.getElementById('secretEntryBtn').click();
+    assert.ok(board.shadowRoot.getElementById('secretInput'));
+
+    board.shadowRoot.getElementById('secretInput').value = 'Murciélago';
+    board.shadowRoot.getElementById('secretEntryBtn').click();
+    assert.ok(shell.notifications.at(-1).startsWith(es.messages.secretEntered({ length: 10 })));
+
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.turn, 'ai');
+    for (const letter of ['x', 'y', 'z', 'w', 'q', 'k']) {
+        await aiGuess(letter);
+    }
+    const everything = JSON.stringify(shell.raw) + JSON.stringify([...Array(shell.storage.length).keys()].map(i => shell.storage.getItem(shell.storage.key(i))));
+    assert.equal(everything.toLowerCase().includes('murci'), false);
+});
+
+test('startTurnAsUser sin palabra elige una del banco', async () => {
+    const result = await shell.callTool(board, 'agentlet_startTurnAsUser', { category: 'animals', difficulty: 'hard' });
+    assert.equal(result.status, 'OK');
+    assert.equal(result.response.category, 'animals');
+    assert.equal(result.response.difficulty, 'hard');
+    assert.ok(result.message.includes(es.messages.category({ category: es.ui.categoryNames.animals })));
+    assert.ok(board.shadowRoot.querySelector('.category').textContent.includes(es.ui.categoryNames.animals));
+
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.category, 'animals');
+    assert.equal(state.response.turn, 'user');
+    const candidates = WORD_BANK.es.animals.hard;
+    assert.ok(candidates.some(word => word.length === state.response.wordLength));
+    assert.equal(candidates.some(word => JSON.stringify(shell.raw).includes(word)), false);
+});
+
+test('el banco de palabras sigue el idioma activo', async () => {
+    await shell.callTool(board, 'agentlet_setLocale', { locale: 'en' });
+    const result = await shell.callTool(board, 'agentlet_startTurnAsUser', {});
+    assert.ok(Object.keys(WORD_BANK.en).includes(result.response.category));
+    assert.ok(board.shadowRoot.querySelector('.category').textContent.startsWith(LOCALES.en.ui.category));
+});
+
+test('pickWord filtra por categoría y dificultad', () => {
+    const picked = pickWord('es', { category: 'food', difficulty: 'easy', random: () => 0 });
+    assert.deepEqual(picked, { word: WORD_BANK.es.food.easy[0], category: 'food' });
+    assert.equal(pickWord('xx'), null);
+});
+
+test('el diccionario ignora las tildes pero no las letras propias del alfabeto', async () => {
+    setDictionary('de', ['schön']);
+    assert.ok(await isDictionaryWord('de', 'SCHÖN'));
+    assert.equal(await isDictionaryWord('de', 'schon'), false);
+    assert.ok(await isDictionaryWord('de', 'Bär'));
+    assert.equal(await isDictionaryWord('de', 'bar'), false);
+    setDictionary('fr', []);
+    assert.ok(await isDictionaryWord('fr', 'FENETRE'));
+});
+
+test('el diccionario se carga desde una URL o una función la primera vez que se usa', async () => {
+    let calls = 0;
+    setDictionary('pt', () => {
+        calls++;
+        return 'data:text/plain,casa%0Abarco%0A';
+    });
+    assert.equal(calls, 0);
+    assert.ok(await isDictionaryWord('pt', 'Barco'));
+    assert.equal(await isDictionaryWord('pt', 'blorpo'), false);
+    assert.equal(calls, 1);
+
+    // Si la carga falla se reintenta en la próxima validación
+    let online = false;
+    setDictionary('en', async () => {
+        if (!online) throw new Error('offline');
+        return ['house'];
+    });
+    await assert.rejects(isDictionaryWord('en', 'house'), /offline/);
+    online = true;
+    assert.ok(await isDictionaryWord('en', 'house'));
+});
+
+test('submitSecretWord valida contra el diccionario si se pide', async () => {
+    const unavailable = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'gato', validateWord: true });
+    assert.equal(unavailable.status, 'ERROR');
+    assert.equal(unavailable.message, es.messages.dictionaryUnavailable);
+
+    setDictionary('es', ['año', 'zanahoria']);
+    const error = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'blorpo', validateWord: true });
+    assert.equal(error.status, 'ERROR');
+    assert.equal(error.message, es.messages.wordNotInDictionary);
+    const folded = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'ano', validateWord: true });
+    assert.equal(folded.message, es.messages.wordNotInDictionary);
+
+    const free = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'blorpo' });
+    assert.equal(free.status, 'OK');
+    for (const word of ['AÑO', 'Murcielago']) {
+        await shell.callTool(board, 'agentlet_resetGame');
+        const known = await shell.callTool(board, 'agentlet_submitSecretWord', { word, validateWord: true });
+        assert.equal(known.status, 'OK');
+    }
+});
+
+test('el atributo validate-words activa el diccionario en el tablero', async () => {
+    board = createBoard({ 'validate-words': '' });
+    await tick();
+    setDictionary('es', []);
+    const error = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'blorpo' });
+    assert.equal(error.status, 'ERROR');
+
+    await shell.callTool(board, 'agentlet_requestSecretWord');
+    const enter = async word => {
+        board.shadowRoot.getElementById('secretInput').value = word;
+        board.shadowRoot.getElementById('secretEntryBtn').click();
+        await tick();
+        await board.renderComplete;
+    };
+    await enter('blorpo');
+    assert.ok(board.shadowRoot.getElementById('secretInput'));
+    assert.equal(board.shadowRoot.querySelector('[aria-live]').textContent, es.ui.secretEntryUnknown);
+
+    setDictionary('es', ['blorpo']);
+    await enter('blorpo');
+    assert.equal(board.shadowRoot.getElementById('secretInput'), null);
+});
+
+test('guessLetter necesita el turno de la IA', async () => {
+    const result = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'a' });
+    assert.equal(result.status, 'ERROR');
+    assert.equal(result.message, es.messages.notAITurn);
+});
+
+test('guessLetter rechaza letras repetidas y fuera del alfabeto', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    await aiGuess('s');
+    const repeated = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'S' });
+    assert.equal(repeated.status, 'ERROR');
+    assert.equal(repeated.message, es.messages.letterRepeated({ letter: 's' }));
+
+    const foreign = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'ß' });
+    assert.equal(foreign.status, 'ERROR');
+});
+
+test('la IA gana al revelar la palabra', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    let result;
+    for (const letter of ['s', 'x', 'o', 'l']) {
+        result = await aiGuess(letter);
+    }
+    assert.equal(result.status, 'OK');
+    assert.ok(result.message.includes(es.messages.aiWon({ word: 'sol' })));
+    assert.equal(result.response.gameOver, true);
+    assert.equal(result.response.won, true);
+    assert.deepEqual(result.response.incorrectLetters, ['x']);
+});
+
+test('la IA pierde al agotar los intentos', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    let result;
+    for (const letter of ['a', 'b', 'c', 'd', 'e', 'f']) {
+        result = await aiGuess(letter);
+    }
+    assert.ok(result.message.includes(es.messages.aiLost));
+    assert.equal(result.message.includes('sol'), false);
+    assert.equal(result.response.remainingAttempts, 0);
+    assert.equal(result.response.won, false);
+
+    const after = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'g' });
+    assert.equal(after.status, 'ERROR');
+});
+
+test('la IA espera la aprobación del usuario entre jugadas', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    const first = await shell.callTool(board, 'agentlet_guessLetter', { letter: 's' });
+    assert.ok(first.message.endsWith(es.messages.awaitApproval));
+    assert.equal(first.response.gate, 'waiting');
+    await board.renderComplete;
+    assert.ok(board.shadowRoot.getElementById('gatePauseBtn'));
+
+    const early = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'o' });
+    assert.equal(early.status, 'ERROR');
+    assert.equal(early.message, es.messages.gateWaiting);
+
+    board.shadowRoot.getElementById('gatePauseBtn').click();
+    await board.renderComplete;
+    assert.equal(shell.notifications.at(-1), es.messages.userPaused);
+    assert.equal(board.shadowRoot.getElementById('gatePauseBtn'), null);
+    const paused = await shell.callTool(board, 'agentlet_guessWord', { word: 'sol' });
+    assert.equal(paused.message, es.messages.gatePaused);
+
+    board.shadowRoot.getElementById('gateContinueBtn').click();
+    await board.renderComplete;
+    assert.equal(shell.notifications.at(-1), es.messages.userContinued);
+    assert.equal(board.shadowRoot.getElementById('gateContinueBtn'), null);
+    const next = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'o' });
+    assert.equal(next.status, 'OK');
+
+    const gateEvents = shell.messagesOfType('event').filter(e => e.event.startsWith('gate_'));
+    assert.deepEqual(gateEvents.map(e => e.reason ? `${e.event}:${e.reason}` : e.event), [
+        'gate_opened', 'gate_blocked:awaiting_approval', 'gate_paused', 'gate_blocked:paused', 'gate_approved', 'gate_opened'
+    ]);
+});
+
+test('no se puede empezar una ronda con otra en curso', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const again = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'pato' });
+    assert.equal(again.status, 'ERROR');
+    assert.equal(again.message, es.messages.turnInProgress({ turn: 'user' }));
+    const request = await shell.callTool(board, 'agentlet_requestSecretWord');
+    assert.equal(request.status, 'ERROR');
+    assert.equal(maskedWord(), '_ _ _ _');
+    const blocked = shell.messagesOfType('event').at(-1);
+    assert.equal(blocked.event, 'gate_blocked');
+    assert.equal(blocked.tool, 'agentlet_requestSecretWord');
+    assert.equal(blocked.reason, 'round_in_progress');
+
+    await shell.callTool(board, 'agentlet_resetGame');
+    await shell.callTool(board, 'agentlet_requestSecretWord');
+    const pending = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    assert.equal(pending.message, es.messages.secretEntryPending);
+});
+
+test('el teclado virtual envía las jugadas del usuario al shell', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await pressKey('a');
+    await pressKey('z');
+    await typeKey('a');
+    assert.deepEqual(shell.notifications, [
+        es.messages.userCorrect({ letter: 'a' }),
+        es.messages.userIncorrect({ letter: 'z', remaining: 5 }),
+        es.messages.userRepeated({ letter: 'a' })
+    ]);
+    assert.equal(maskedWord(), '_ a _ _');
+    assert.equal(board.shadowRoot.querySelector('.key[data-letter="a"]').disabled, true);
+});
+
+test('el teclado físico juega como el virtual', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await typeKey('T');
+    await typeKey('1');
+    assert.deepEqual(shell.notifications, [es.messages.userCorrect({ letter: 't' })]);
+    assert.equal(maskedWord(), '_ _ t _');
+});
+
+test('el usuario gana al completar la palabra', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    for (const letter of ['g', 'a', 't', 'o']) await pressKey(letter);
+    assert.equal(shell.notifications.at(-1), es.messages.userWon({ word: 'gato' }));
+    assert.equal(maskedWord(), 'g a t o');
+    const keys = Array.from(board.shadowRoot.querySelectorAll('.key'));
+    assert.ok(keys.every(key => key.disabled));
+});
+
+test('el usuario pierde al agotar los intentos', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    for (const letter of ['b', 'c', 'd', 'e', 'f', 'h']) await pressKey(letter);
+    assert.equal(shell.notifications.at(-1), es.messages.userLost({ word: 'gato' }));
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.gameOver, true);
+    assert.equal(state.response.won, false);
+});
+
+test('las teclas no juegan durante el turno de la IA', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    const key = board.shadowRoot.querySelector('.key[data-letter="s"]');
+    assert.ok(!key || key.disabled);
+    await typeKey('o');
+    assert.deepEqual(shell.notifications, []);
+});
+
+test('resetGame reinicia el tablero', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await pressKey('a');
+    const result = await shell.callTool(board, 'agentlet_resetGame');
+    assert.equal(result.status, 'OK');
+    assert.equal(result.message, es.messages.gameReset);
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.started, false);
+    assert.deepEqual(state.response.guessedLetters, []);
+});
+
+test('cada jugada emite un evento tipado con rol y estado', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'sol' });
+    await pressKey('s');
+    await pressKey('x');
+    await shell.callTool(board, 'agentlet_resetGame');
+
+    const events = shell.messagesOfType('event');
+    assert.deepEqual(events.map(e => e.event), ['game_started', 'letter_guessed', 'letter_guessed', 'game_reset']);
+    const [started, correct, incorrect] = events;
+    assert.equal(started.role, 'user');
+    assert.equal(typeof started.timestamp, 'number');
+    assert.equal(correct.correct, true);
+    assert.equal(incorrect.correct, false);
+    assert.equal(incorrect.state.masked, 's _ _');
+    assert.equal(incorrect.state.remainingAttempts, 5);
+    assert.equal(JSON.stringify(events).includes('sol'), false);
+});
+
+test('getStats resume las partidas por rol', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'sol' });
+    for (const letter of ['x', 's', 'o', 'l']) await pressKey(letter);
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'pan' });
+    for (const letter of ['b', 'c', 'd', 'e', 'f', 'g']) {
+        await aiGuess(letter);
+    }
+    assert.deepEqual(shell.messagesOfType('event').filter(e => e.event.startsWith('game_')).map(e => `${e.event}:${e.role}`),
+        ['game_started:user', 'game_won:user', 'game_started:ai', 'game_lost:ai']);
+
+    const result = await shell.callTool(board, 'agentlet_getStats');
+    assert.equal(result.status, 'OK');
+    const { user, ai } = result.response.roles;
+    assert.equal(result.response.gamesPlayed, 2);
+    assert.deepEqual([user.played, user.won, user.winRate, user.averageWrongGuesses, user.letterAccuracy], [1, 1, 1, 1, 0.75]);
+    assert.deepEqual([ai.played, ai.lost, ai.winRate, ai.averageWrongGuesses, ai.letterAccuracy], [1, 1, 0, 6, 0]);
+    assert.equal(result.message, es.messages.stats({ user, ai }));
+    assert.equal(result.response.events, undefined);
+
+    const withEvents = await shell.callTool(board, 'agentlet_getStats', { includeEvents: true });
+    assert.equal(withEvents.response.events.length, 24);
+
+    const rows = board.shadowRoot.querySelectorAll('.stats tbody tr');
+    assert.equal(rows[0].textContent.replace(/\s+/g, ' ').trim(), 'Usuario 1 100% 1.0 75%');
+    const exported = JSON.parse(board.exportStats());
+    assert.deepEqual(exported.stats, result.response);
+    assert.equal(exported.events.length, 24);
+});
+
+test('el log de eventos se conserva al restaurar el tablero', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'sol' });
+    for (const letter of ['s', 'o', 'l']) await pressKey(letter);
+
+    await reloadBoard();
+    const result = await shell.callTool(board, 'agentlet_getStats');
+    assert.equal(result.response.roles.user.won, 1);
+});
+
+test('las estadísticas no dependen del log de eventos guardado', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'sol' });
+    for (const letter of ['s', 'o', 'x', 'l']) await pressKey(letter);
+
+    const saved = JSON.parse(shell.storage.getItem(board.stateStorageKey));
+    assert.ok(saved.events.length > 0);
+    saved.events = [];
+    shell.storage.setItem(board.stateStorageKey, JSON.stringify(saved));
+
+    await reloadBoard();
+    const { roles } = (await shell.callTool(board, 'agentlet_getStats')).response;
+    assert.equal(roles.user.won, 1);
+    assert.equal(roles.user.wrongGuesses, 1);
+    assert.equal(roles.user.letterAccuracy, 0.75);
+});
+
+test('startMatch alterna los roles y lleva el marcador', async () => {
+    const started = await shell.callTool(board, 'agentlet_startMatch', { rounds: 1, firstGuesser: 'ai' });
+    assert.equal(started.status, 'OK');
+    assert.equal(started.response.match.nextGuesser, 'ai');
+
+    const wrongTurn = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    assert.equal(wrongTurn.status, 'ERROR');
+
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol' });
+    let result;
+    for (const letter of ['s', 'o', 'l']) {
+        result = await aiGuess(letter);
+    }
+    assert.equal(result.response.match.scores.ai, 1);
+    assert.equal(result.response.match.over, true);
+    assert.equal(result.response.match.winner, 'ai');
+    assert.equal(result.response.match.history.length, 1);
+});
+
+async function guessWord(text) {
+    board.shadowRoot.getElementById('wordInput').value = text;
+    board.shadowRoot.getElementById('wordGuessBtn').click();
+    await board.renderComplete;
+}
+
+test('guessWord permite a la IA arriesgar la palabra completa', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'árbol', wordPenalty: 3 });
+    const wrong = await shell.callTool(board, 'agentlet_guessWord', { word: 'arbel' });
+    assert.equal(wrong.status, 'OK');
+    assert.equal(wrong.response.remainingAttempts, 3);
+    assert.deepEqual(wrong.response.incorrectWords, ['arbel']);
+    await approveAIMove();
+
+    const repeated = await shell.callTool(board, 'agentlet_guessWord', { word: 'ARBEL' });
+    assert.equal(repeated.status, 'ERROR');
+    assert.equal(repeated.message, es.messages.wordRepeated({ word: 'arbel' }));
+
+    const right = await shell.callTool(board, 'agentlet_guessWord', { word: 'arbol' });
+    assert.ok(right.message.includes(es.messages.aiWon({ word: 'árbol' })));
+    assert.equal(right.response.won, true);
+    assert.equal(right.response.masked, 'á r b o l');
+});
+
+test('una palabra incorrecta puede agotar los intentos de la IA', async () => {
+    await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol', attempts: 2 });
+    const result = await shell.callTool(board, 'agentlet_guessWord', { word: 'sal' });
+    assert.ok(result.message.includes(es.messages.aiLost));
+    assert.equal(result.message.includes('sol'), false);
+    assert.equal(result.response.remainingAttempts, 0);
+});
+
+test('el usuario arriesga la palabra desde el tablero', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await guessWord('pato');
+    assert.equal(shell.notifications.at(-1), es.messages.userWordIncorrect({ word: 'pato', penalty: 2, remaining: 4 }));
+    await guessWord('Gato');
+    assert.deepEqual(shell.notifications.slice(-2), [
+        es.messages.userWordCorrect({ word: 'gato' }),
+        es.messages.userWon({ word: 'gato' })
+    ]);
+    assert.equal(maskedWord(), 'g a t o');
+});
+
+test('escribir en el campo de palabra no juega letras', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const input = board.shadowRoot.getElementById('wordInput');
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'g', bubbles: true, composed: true }));
+    assert.deepEqual(shell.notifications, []);
+});
+
+test('el botón de pista revela una letra a cambio de un intento', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    board.shadowRoot.getElementById('hintBtn').click();
+
+    const state = await shell.callTool(board, 'agentlet_getGameState');
+    assert.equal(state.response.remainingAttempts, 5);
+    assert.equal(state.response.hintsUsed, 1);
+    const [hint] = state.response.hints;
+    assert.equal(shell.notifications.at(-1), es.messages.userHintLetter({ letter: hint.letter, remaining: 5 }));
+    assert.ok(maskedWord().includes(hint.letter));
+
+    for (const letter of ['g', 'a', 't', 'o']) {
+        if (letter !== hint.letter) await pressKey(letter);
+    }
+    assert.equal(shell.notifications.at(-1), es.messages.userWon({ word: 'gato' }) + ' ' + es.messages.hintsUsed({ count: 1 }));
+});
+
+test('en modo clue el botón de pista avisa al asistente', async () => {
+    board.setAttribute('hint-mode', 'clue');
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    board.shadowRoot.getElementById('hintBtn').click();
+    assert.equal(shell.notifications.at(-1), es.messages.userHintClue({ remaining: 5 }));
+    assert.equal(maskedWord(), '_ _ _ _');
+
+    // La pista del asistente completa la pedida: cuenta una sola vez
+    const clue = await shell.callTool(board, 'agentlet_giveHint', { clue: 'Maúlla' });
+    assert.equal(clue.response.hintsUsed, 1);
+    assert.deepEqual(clue.response.hints, [{ type: 'clue', clue: 'Maúlla', source: 'user' }]);
+    assert.equal(board.shadowRoot.querySelector('.clues li').textContent, 'Maúlla');
+    for (const letter of ['g', 'a', 't', 'o']) await pressKey(letter);
+    assert.equal(shell.notifications.at(-1), es.messages.userWon({ word: 'gato' }) + ' ' + es.messages.hintsUsed({ count: 1 }));
+});
+
+test('sin intentos suficientes el tablero explica por qué no hay pista', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato', difficulty: 'hard' });
+    for (const letter of ['b', 'c', 'd']) await pressKey(letter);
+    const button = board.shadowRoot.getElementById('hintBtn');
+    const note = es.ui.hintUnavailable({ cost: 1 });
+    assert.equal(button.disabled, true);
+    assert.equal(board.shadowRoot.getElementById('hintNote').textContent, note);
+
+    board._handleHintRequest();
+    assert.equal(board.shadowRoot.querySelector('[aria-live]').textContent, note);
+    assert.equal((await shell.callTool(board, 'agentlet_getGameState')).response.remainingAttempts, 1);
+});
+
+test('giveHint muestra pistas en el tablero y revela letras', async () => {
+    const early = await shell.callTool(board, 'agentlet_giveHint', { clue: 'Maúlla' });
+    assert.equal(early.status, 'ERROR');
+
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const clue = await shell.callTool(board, 'agentlet_giveHint', { clue: '<b>Maúlla</b>' });
+    assert.equal(clue.status, 'OK');
+    assert.equal(board.shadowRoot.querySelector('.clues li').textContent, '<b>Maúlla</b>');
+
+    const letter = await shell.callTool(board, 'agentlet_giveHint', { letter: 'T' });
+    assert.equal(letter.response.hintsUsed, 2);
+    assert.equal(maskedWord(), '_ _ t _');
+
+    // Una letra que no está no revela nada ni cuenta como pista
+    const missing = await shell.callTool(board, 'agentlet_giveHint', { letter: 'z' });
+    assert.equal(missing.status, 'ERROR');
+    assert.equal(missing.message, es.messages.hintLetterNotInWord({ letter: 'z' }));
+    assert.equal(maskedWord(), '_ _ t _');
+    assert.equal((await shell.callTool(board, 'agentlet_getGameState')).response.hintsUsed, 2);
+    const empty = await shell.callTool(board, 'agentlet_giveHint', {});
+    assert.equal(empty.message, es.messages.hintEmpty);
+});
+
+test('la dificultad fija los intentos y se muestra en el tablero', async () => {
+    const result = await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato', difficulty: 'hard' });
+    assert.deepEqual(result.response, { category: null, difficulty: 'hard', maxAttempts: 4, wordPenalty: 2 });
+    assert.ok(result.message.includes(es.messages.difficulty({ level: 'difícil', attempts: 4 })));
+    assert.ok(board.shadowRoot.textContent.includes('Dificultad: difícil (4)'));
+
+    for (const letter of ['b', 'c', 'd', 'e']) await pressKey(letter);
+    assert.equal(shell.notifications.at(-1), es.messages.userLost({ word: 'gato' }));
+});
+
+test('attempts define una dificultad personalizada', async () => {
+    const result = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol', difficulty: 'easy', attempts: 12 });
+    assert.deepEqual(result.response, { difficulty: 'custom', maxAttempts: 12, wordPenalty: 2 });
+
+    const invalid = await shell.callTool(board, 'agentlet_submitSecretWord', { word: 'sol', attempts: 0 });
+    assert.equal(invalid.status, 'ERROR');
+});
+
+test('el dibujo se escala a la cantidad de intentos', async () => {
+    const drawnParts = () => board.shadowRoot.querySelectorAll('svg g > *').length;
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato', difficulty: 'easy' });
+    const initial = drawnParts();
+    await pressKey('b');
+    assert.equal(drawnParts(), initial + 1);
+    for (const letter of ['c', 'd', 'e', 'f', 'h', 'i', 'j', 'k', 'l']) await pressKey(letter);
+    // Horca fija (5 líneas) y 10 etapas; los ojos son dos círculos
+    assert.equal(drawnParts(), 5 + 10 + 1);
+
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato', difficulty: 'hard' });
+    await pressKey('b');
+    assert.equal(drawnParts(), 5 + 2);
+});
+
+test('las jugadas actualizan el tablero en su lugar y animan lo nuevo', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const key = board.shadowRoot.querySelector('.key[data-letter="a"]');
+    const input = board.shadowRoot.getElementById('wordInput');
+    input.value = 'ga';
+    await pressKey('a');
+    assert.equal(board.shadowRoot.querySelector('.key[data-letter="a"]'), key);
+    assert.equal(key.disabled, true);
+    assert.equal(board.shadowRoot.getElementById('wordInput'), input);
+    assert.equal(input.value, 'ga');
+    assert.deepEqual(Array.from(board.shadowRoot.querySelectorAll('.letter.revealed'), span => span.textContent), ['a']);
+
+    await pressKey('b');
+    const drawn = Array.from(board.shadowRoot.querySelectorAll('.figure .appear'), part => part.dataset.part);
+    assert.deepEqual(drawn, ['head']);
+});
+
+test('varias jugadas en la misma tarea se dibujan en un solo render', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    const renders = [];
+    const render = board.render;
+    board.render = function (changed) {
+        renders.push(changed);
+        return render.call(this, changed);
+    };
+    board.shadowRoot.querySelector('.key[data-letter="g"]').click();
+    board.shadowRoot.querySelector('.key[data-letter="b"]').click();
+    await board.renderComplete;
+    assert.equal(renders.length, 1);
+    assert.ok(renders[0].has('word') && renders[0].has('drawing'));
+    assert.equal(renders[0].has('locale'), false);
+    assert.equal(maskedWord(), 'g _ _ _');
+});
+
+test('el tablero exporta partes y toma los colores del tema', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await pressKey('b');
+    const parts = name => board.shadowRoot.querySelectorAll(`[part~="${name}"]`).length;
+    assert.deepEqual(['frame', 'word', 'drawing'].map(parts), [1, 1, 1]);
+    assert.equal(parts('key'), board.shadowRoot.querySelectorAll('.key').length);
+    assert.equal(board.shadowRoot.querySelector('.drawing').innerHTML.includes('#111'), false);
+
+    const css = board.shadowRoot.querySelector('style').textContent;
+    for (const theme of ['light', 'dark', 'high-contrast']) assert.ok(css.includes(`:host([theme="${theme}"])`));
+    assert.ok(css.includes('--board-accent: var(--agentlet-accent, #0a4dff)'));
+    assert.ok(css.includes('prefers-color-scheme: dark'));
+});
+
+test('setLocale cambia el idioma de mensajes y teclado', async () => {
+    const result = await shell.callTool(board, 'agentlet_setLocale', { locale: 'en' });
+    assert.equal(result.status, 'OK');
+    assert.equal(result.response.locale, 'en');
+    assert.equal(board.shadowRoot.querySelector('.key[data-letter="ñ"]'), null);
+
+    const error = await shell.callTool(board, 'agentlet_guessLetter', { letter: 'a' });
+    assert.equal(error.message, LOCALES.en.messages.notAITurn);
+});
+
+test('setLocale no cambia a un alfabeto sin las letras de la palabra', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'niño' });
+    const result = await shell.callTool(board, 'agentlet_setLocale', { locale: 'en' });
+    assert.equal(result.status, 'ERROR');
+    assert.equal(result.message, es.messages.localeLocked);
+});
+
+test('las tildes se adivinan con la letra base', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'árbol' });
+    await pressKey('a');
+    assert.equal(maskedWord(), 'á _ _ _ _');
+});
+
+test('las tools desconocidas responden con error', async () => {
+    const result = await shell.callTool(board, 'agentlet_flyAway');
+    assert.equal(result.status, 'ERROR');
+    assert.match(result.message, /Unknown tool/);
+});
+
+test('el estado se restaura desde el storage del shell', async () => {
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await pressKey('g');
+
+    await reloadBoard();
+    assert.equal(maskedWord(), 'g _ _ _');
+});
+
+test('dos tableros sin instance-id no comparten el estado guardado', async () => {
+    const other = createBoard();
+    await tick();
+    await shell.callTool(board, 'agentlet_startTurnAsUser', { word: 'gato' });
+    await shell.callTool(other, 'agentlet_startTurnAsUser', { word: 'perro' });
+
+    await reloadBoard();
+    const second = createBoard();
+    await tick();
+    assert.equal((await shell.callTool(board, 'agentlet_getGameState')).response.wordLength, 4);
+    assert.equal((await shell.callTool(second, 'agentlet_getGameState')).response.wordLength, 5);
+});
@@ -0,0 +1,341 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, tick } from './dom.js';
+import { MockShell, MemoryStorage } from '../src/lib/mock-shell.js';
+import { Agentlet, ToolTimeoutError } from '../src/lib/agentlet-1.0.0.js';
+import { checkManifest, validateTagName } from '../src/lib/manifest-checker.js';
+
+const shell = new MockShell({ protocolVersion: null }).install(window);
+
+class EchoAgentlet extends Agentlet {
+    static get agentletId() {
+        return {
+            manifestVersion: '1.1.0-mini',
+            name: 'Echo',
+            version: '1.0.0',
+            groupId: 'test',
+            artifactId: 'echo',
+            tagName: 'echo'
+        };
+    }
+
+    static get tools() {
+        return [
+            {
+                name: 'echo',
+                description: 'Devuelve el texto recibido.',
+                parameters: {
+                    type: 'object',
+                    properties: { text: { type: 'string' } },
+                    required: ['text']
+                },
+                handler(params) {
+                    return { status: 'OK', message: params.text };
+                }
+            },
+            {
+                name: 'secret',
+                description: 'Guarda un secreto.',
+                parameters: {
+                    type: 'object',
+                    properties: { secret: { type: 'string' }, label: { type: 'string' } }
+                },
+                sensitive: { params: ['secret'], response: ['response.items.secret'] },
+                handler(params) {
+                    return {
+                        status: 'OK',
+                        message: 'Guardado.',
+                        response: { items: [{ label: params.label, secret: params.secret }] }
+                    };
+                }
+            },
+            {
+                name: 'slow',
+                description: 'Devuelve el texto después de `ms` milisegundos.',
+                parameters: {
+                    type: 'object',
+                    properties: { text: { type: 'string' }, ms: { type: 'integer', minimum: 0 } },
+                    required: ['text', 'ms']
+                },
+                handler(params) {
+                    return new Promise(resolve => setTimeout(() => resolve({ status: 'OK', message: params.text }), params.ms));
+                }
+            },
+            {
+                name: 'wait',
+                description: 'Nunca responde.',
+                parameters: { type: 'object', properties: {} },
+                handler(params, { signal }) {
+                    signal.addEventListener('abort', () => {
+                        this.aborted = signal.reason;
+                    });
+                    return new Promise(() => {});
+                }
+            }
+        ];
+    }
+
+    onMessageFromShell(message) {
+        this.lastMessage = message;
+    }
+
+    render(changed) {
+        this.renders = (this.renders || 0) + 1;
+        if (changed) {
+            this.lastChanged = changed;
+            this.updateRegions(this.shadowRoot, { text: `<b>${this.state.text}</b>` });
+            return;
+        }
+        this.shadowRoot.innerHTML = '<p data-region="text">echo</p><button>+</button>';
+        this.delegate('click', 'button', () => this.setState({ text: 'clic' }));
+    }
+}
+
+Agentlet.register(EchoAgentlet);
+const element = document.createElement('test-echo-echo-1-0-0');
+document.body.appendChild(element);
+
+test('registra el microManifest', () => {
+    assert.equal(shell.registrations.length, 1);
+    assert.equal(shell.registrations[0].name, 'Echo');
+});
+
+test('un shell sin handshake recibe el formato legacy', async () => {
+    const result = await shell.callTool(element, 'agentlet_echo', { text: 'hola' }, { id: 'c1' });
+    assert.deepEqual(result, { status: 'OK', message: 'hola' });
+    assert.deepEqual(shell.raw.at(-1), {
+        type: 'tool_response',
+        id: 'c1',
+        instanceId: element.instanceId,
+        tool: 'agentlet_echo',
+        params: { text: 'hola' },
+        response: { status: 'OK', message: 'hola' }
+    });
+    assert.equal(Agentlet.shell.protocolVersion, '1.0');
+});
+
+test('valida los parámetros antes de llamar a la tool', async () => {
+    const result = await shell.callTool(element, 'agentlet_echo', {});
+    assert.equal(result.status, 'ERROR');
+    assert.deepEqual(result.errors, ['params.text is required']);
+});
+
+test('responde con error cuando la tool excede su timeout', async () => {
+    const result = await shell.callTool(element, 'agentlet_wait', {}, { timeout: 20 });
+    assert.equal(result.status, 'ERROR');
+    assert.match(result.message, /timed out/);
+    assert.ok(element.aborted instanceof ToolTimeoutError);
+});
+
+test('el resultado que llega después del timeout se descarta', async () => {
+    const result = await shell.callTool(element, 'agentlet_slow', { text: 'tarde', ms: 30 }, { id: 'tardia', timeout: 5 });
+    assert.equal(result.status, 'ERROR');
+    await tick(40);
+    const responses = shell.messagesOfType('tool_response').filter(m => m.id === 'tardia');
+    assert.deepEqual(responses.map(m => m.response.status), ['ERROR']);
+});
+
+test('las llamadas simultáneas responden cada una con su id', async () => {
+    const slow = shell.callTool(element, 'agentlet_slow', { text: 'lenta', ms: 40 }, { id: 'c-lenta' });
+    const fast = shell.callTool(element, 'agentlet_slow', { text: 'rápida', ms: 5 }, { id: 'c-rapida' });
+    assert.deepEqual(element.pendingToolCalls, ['c-lenta', 'c-rapida']);
+
+    assert.deepEqual(await fast, { status: 'OK', message: 'rápida' });
+    assert.deepEqual(element.pendingToolCalls, ['c-lenta']);
+    assert.deepEqual(await slow, { status: 'OK', message: 'lenta' });
+    const responses = shell.messagesOfType('tool_response').filter(m => m.id.startsWith('c-'));
+    assert.deepEqual(responses.map(m => [m.id, m.response.message]), [['c-rapida', 'rápida'], ['c-lenta', 'lenta']]);
+});
+
+test('un id de llamada en curso no se puede reutilizar', async () => {
+    const first = shell.callTool(element, 'agentlet_slow', { text: 'primera', ms: 20 }, { id: 'repetida' });
+    shell.send(element, { tool: 'agentlet_slow', params: { text: 'segunda', ms: 0 }, id: 'repetida' });
+    const rejected = await shell.waitForMessage(m => m.type === 'error' && m.callId === 'repetida');
+    assert.match(rejected.message, /already in progress/);
+    assert.equal(rejected.tool, 'agentlet_slow');
+    assert.equal(rejected.id, undefined);
+
+    // La llamada original sigue pendiente y responde con su propio resultado
+    assert.deepEqual(element.pendingToolCalls, ['repetida']);
+    assert.deepEqual(await first, { status: 'OK', message: 'primera' });
+    const responses = shell.messagesOfType('tool_response').filter(m => m.id === 'repetida');
+    assert.deepEqual(responses.map(m => m.response.message), ['primera']);
+    assert.deepEqual(element.pendingToolCalls, []);
+});
+
+test('quita los campos sensibles de la tool_response', async () => {
+    const result = await shell.callTool(element, 'agentlet_secret', { secret: 'abc', label: 'x' }, { id: 's1' });
+    assert.deepEqual(result.response, { items: [{ label: 'x' }] });
+    assert.deepEqual(shell.raw.at(-1).params, { label: 'x' });
+    assert.equal(JSON.stringify(shell.raw).includes('abc'), false);
+    assert.deepEqual(EchoAgentlet.manifestTools.find(t => t.name === 'agentlet_secret').sensitive, undefined);
+});
+
+test('los mensajes que no son tools llegan a onMessageFromShell', async () => {
+    shell.send(element, 'texto libre');
+    await tick();
+    assert.equal(element.lastMessage, 'texto libre');
+});
+
+test('sendEvent envía eventos tipados con timestamp', () => {
+    element.sendEvent('pinged', { count: 2 });
+    const event = shell.raw.at(-1);
+    assert.equal(event.type, 'event');
+    assert.equal(event.event, 'pinged');
+    assert.equal(event.count, 2);
+    assert.equal(typeof event.timestamp, 'number');
+});
+
+test('los transportes entregan los mensajes por instanceId', async () => {
+    const other = document.createElement('test-echo-echo-1-0-0');
+    document.body.appendChild(other);
+    Agentlet._deliver(other.instanceId, 'para el otro');
+    await tick();
+    assert.equal(other.lastMessage, 'para el otro');
+    assert.notEqual(element.lastMessage, 'para el otro');
+    other.remove();
+});
+
+test('unregister avisa al shell y deja de entregar mensajes', async () => {
+    assert.equal(Agentlet.unregister(EchoAgentlet), true);
+    assert.equal(shell.unregistrations.at(-1).name, 'Echo');
+    Agentlet._deliver('test-echo-echo-1-0-0', 'sin destino');
+    await tick();
+    assert.notEqual(element.lastMessage, 'sin destino');
+    assert.equal(Agentlet.unregister(EchoAgentlet), false);
+
+    Agentlet.register(EchoAgentlet);
+    assert.equal(shell.registrations.length, 2);
+    Agentlet._deliver('test-echo-echo-1-0-0', 'de vuelta');
+    await tick();
+    assert.equal(element.lastMessage, 'de vuelta');
+});
+
+test('setState agrupa los cambios en un solo render', async () => {
+    const before = element.renders;
+    element.setState({ text: 'uno' });
+    element.setState({ text: 'dos', count: 1 });
+    await element.renderComplete;
+    assert.equal(element.renders, before + 1);
+    assert.deepEqual([...element.lastChanged], ['text', 'count']);
+    assert.equal(element.shadowRoot.querySelector('[data-region="text"]').innerHTML, '<b>dos</b>');
+
+    const region = element.shadowRoot.querySelector('[data-region="text"] b');
+    await element.setState({ text: 'dos', count: 1 });
+    assert.equal(element.renders, before + 1);
+    await element.setState({ count: 2 });
+    assert.equal(element.shadowRoot.querySelector('[data-region="text"] b'), region);
+});
+
+test('delegate atiende los eventos de elementos del shadow DOM', async () => {
+    element.shadowRoot.querySelector('button').click();
+    await element.renderComplete;
+    assert.equal(element.state.text, 'clic');
+    assert.equal(element.shadowRoot.querySelector('[data-region="text"]').textContent, 'clic');
+});
+
+test('el tema del shell se aplica a todos los agentlets', async () => {
+    const other = document.createElement('test-echo-echo-1-0-0');
+    other.setAttribute('instance-id', 'echo-b');
+    document.body.appendChild(other);
+    shell.sendTheme(element, { name: 'dark', properties: { '--agentlet-accent': '#f0f', color: 'red' } });
+    await tick();
+    for (const target of [element, other]) {
+        assert.equal(target.getAttribute('theme'), 'dark');
+        assert.equal(target.style.getPropertyValue('--agentlet-accent'), '#f0f');
+        assert.equal(target.style.getPropertyValue('color'), '');
+    }
+
+    const late = document.createElement('test-echo-echo-1-0-0');
+    document.body.appendChild(late);
+    assert.equal(late.getAttribute('theme'), 'dark');
+
+    shell.sendTheme(other, 'high-contrast', 'echo-b');
+    await tick();
+    assert.equal(other.getAttribute('theme'), 'high-contrast');
+    assert.equal(other.style.getPropertyValue('--agentlet-accent'), '');
+    assert.equal(element.getAttribute('theme'), 'dark');
+
+    Agentlet.setTheme('light');
+    assert.deepEqual([element, other, late].map(target => target.getAttribute('theme')), ['light', 'light', 'light']);
+    shell.sendTheme(other, { name: 'neon', properties: { '--agentlet-accent': '#0f0' } }, 'echo-b');
+    await tick();
+    assert.equal(other.getAttribute('theme'), 'auto');
+    assert.equal(other.style.getPropertyValue('--agentlet-accent'), '#0f0');
+    Agentlet.setTheme(null);
+    other.remove();
+    late.remove();
+});
+
+test('validateTagName aplica las reglas de los custom elements', () => {
+    assert.deepEqual(validateTagName('test-echo-echo-1-0-0'), []);
+    assert.deepEqual(validateTagName('io-ggobuk-ñandú-1'), []);
+    assert.equal(validateTagName('Test-echo').length, 2);
+    assert.match(validateTagName('1-echo')[0], /lowercase ASCII letter/);
+    assert.match(validateTagName('echo')[0], /hyphen/);
+    assert.match(validateTagName('test-echo echo')[0], /not allowed.*" "/);
+    assert.match(validateTagName('font-face')[0], /reserved/);
+});
+
+test('checkManifest compara el manifest con el agentletId', () => {
+    const manifest = {
+        ...EchoAgentlet.agentletId,
+        manifestVersion: '1.1.0',
+        tools: EchoAgentlet.manifestTools
+    };
+    assert.deepEqual(checkManifest(manifest, { agentletId: EchoAgentlet.agentletId, tools: EchoAgentlet.manifestTools }), []);
+
+    const problems = checkManifest({ ...manifest, version: '1.0.1', tools: manifest.tools.slice(1) }, {
+        agentletId: EchoAgentlet.agentletId,
+        tools: EchoAgentlet.manifestTools
+    });
+    assert.deepEqual(problems, [
+        'version is "1.0.1" in the manifest but "1.0.0" in agentletId',
+        "tool 'agentlet_echo' is declared by the class but missing from the manifest"
+    ]);
+    assert.deepEqual(checkManifest([]), ['the manifest must be a JSON object']);
+    assert.match(checkManifest({ ...manifest, behavior_prompt: 3 }).join(), /behavior_prompt/);
+});
+
+test('loadManifest avisa al shell de las diferencias con la clase', async () => {
+    const before = shell.messagesOfType('error').length;
+    const { problems } = await EchoAgentlet.loadManifest({
+        ...EchoAgentlet.agentletId,
+        manifestVersion: '1.2.0',
+        tagName: 'eco',
+        tools: EchoAgentlet.manifestTools
+    });
+    assert.equal(problems.length, 2);
+    const error = shell.messagesOfType('error').at(-1);
+    assert.equal(shell.messagesOfType('error').length, before + 1);
+    assert.deepEqual(error.problems, problems);
+    assert.equal(error.agentlet.name, 'Echo');
+    assert.match(error.message, /manifestVersion '1.2.0'/);
+});
+
+test('register rechaza los tags que no son nombres de custom element válidos', () => {
+    class BadAgentlet extends Agentlet {
+        static get agentletId() {
+            return { ...EchoAgentlet.agentletId, name: 'Bad', groupId: 'Test', tagName: 'mal nombre' };
+        }
+    }
+    const registrations = shell.registrations.length;
+    assert.throws(() => Agentlet.register(BadAgentlet), /cannot be registered.*uppercase/);
+    assert.equal(customElements.get('Test-echo-mal nombre-1-0-0'), undefined);
+    assert.equal(shell.registrations.length, registrations);
+    assert.deepEqual(shell.messagesOfType('error').at(-1).agentlet.name, 'Bad');
+});
+
+test('waitForMessage rechaza cuando no llega nada', async () => {
+    await assert.rejects(shell.waitForMessage(() => false, 10), /no matching message/);
+});
+
+test('MemoryStorage implementa la interfaz de Web Storage', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('a', 1);
+    assert.equal(storage.getItem('a'), '1');
+    assert.equal(storage.key(0), 'a');
+    assert.equal(storage.length, 1);
+    storage.removeItem('a');
+    assert.equal(storage.getItem('a'), null);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { window } from './dom.js';
+import { PlaygroundShell, buildToolForm, readToolForm } from '../src/playground/playground.js';
+
+const shell = new PlaygroundShell().install(window);
+await import('../src/hang-man/agentlet.js');
+
+const manifest = JSON.parse(readFileSync(new URL('../src/hang-man/agentlet_manifest.json', import.meta.url), 'utf8'));
+const toolByName = name => manifest.tools.find(tool => tool.name === name);
+const element = document.createElement('io-ggobuk-hangman-hang-man-0-1-1');
+document.body.appendChild(element);
+
+test('genera un campo por parámetro según su tipo', () => {
+    const form = buildToolForm(toolByName('agentlet_startMatch'));
+    const rounds = form.querySelector('[data-param="rounds"]');
+    const firstGuesser = form.querySelector('[data-param="firstGuesser"]');
+    assert.equal(rounds.type, 'number');
+    assert.equal(rounds.required, true);
+    assert.equal(firstGuesser.tagName, 'SELECT');
+    assert.deepEqual(Array.from(firstGuesser.options, o => o.value), ['', 'user', 'ai']);
+
+    rounds.value = '3';
+    assert.deepEqual(readToolForm(form), { rounds: 3 });
+    firstGuesser.value = 'ai';
+    assert.deepEqual(readToolForm(form), { rounds: 3, firstGuesser: 'ai' });
+});
+
+test('envía las tool calls por el atributo message y registra la línea de tiempo', async () => {
+    const call = shell.buildToolCall(element, 'agentlet_submitSecretWord', { word: 'sol' });
+    const response = shell.waitForMessage(m => m.type === 'tool_response' && m.id === call.id);
+    shell.send(element, call);
+    assert.equal((await response).response.status, 'OK');
+
+    const types = shell.timeline.map(entry => `${entry.direction}:${entry.data.type}`);
+    assert.ok(types.includes('out:register'));
+    assert.ok(types.includes('out:hello'));
+    assert.ok(types.includes('in:tool_call'));
+    assert.ok(types.includes('out:tool_response'));
+});
+
+test('reproduce una línea de tiempo exportada', async () => {
+    const exported = JSON.parse(shell.exportTimeline());
+    shell.send(element, shell.buildToolCall(element, 'agentlet_resetGame', {}));
+    await shell.waitForMessage(m => m.tool === 'agentlet_resetGame');
+
+    await shell.replay(element, exported.entries);
+    const state = await shell.callTool(element, 'agentlet_getGameState');
+    assert.equal(state.response.turn, 'ai');
+    assert.equal(state.response.wordLength, 3);
+});
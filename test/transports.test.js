@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { window, tick } from './dom.js';
+import { MockShell } from '../src/lib/mock-shell.js';
+import { Agentlet, EventShellTransport, PostMessageShellTransport, SHELL_READY_EVENT } from '../src/lib/agentlet-1.0.0.js';
+
+// Shell cuyo handshake() nunca responde
+class SilentShell extends MockShell {
+    handshake(hello) {
+        this.hellos.push(hello);
+        return new Promise(() => {});
+    }
+}
+
+const shell = new SilentShell().install(window);
+Agentlet.handshakeTimeout = 30;
+
+class PingAgentlet extends Agentlet {
+    static get agentletId() {
+        return {
+            manifestVersion: '1.1.0-mini',
+            name: 'Ping',
+            version: '1.0.0',
+            groupId: 'test',
+            artifactId: 'ping',
+            tagName: 'ping'
+        };
+    }
+
+    static get tools() {
+        return [
+            {
+                name: 'ping',
+                description: 'Responde pong.',
+                handler() {
+                    return { status: 'OK', message: 'pong' };
+                }
+            }
+        ];
+    }
+
+    onMessageFromShell(message) {
+        this.received = (this.received || []).concat(message);
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = '<p>ping</p>';
+    }
+}
+
+Agentlet.register(PingAgentlet);
+const TAG = 'test-ping-ping-1-0-0';
+const element = document.createElement(TAG);
+document.body.appendChild(element);
+
+test('un handshake() que nunca responde cae al protocolo 1.0 tras el timeout', async () => {
+    assert.equal(shell.hellos.length, 1);
+    assert.equal(Agentlet.shell.protocolVersion, null);
+    assert.equal(shell.messagesOfType('instance_connected').length, 0);
+
+    await tick(Agentlet.handshakeTimeout + 10);
+    assert.equal(Agentlet.shell.protocolVersion, '1.0');
+    assert.equal(shell.messagesOfType('instance_connected').length, 1);
+    const result = await shell.callTool(element, 'agentlet_ping');
+    assert.deepEqual(result, { status: 'OK', message: 'pong' });
+});
+
+test('EventShellTransport retiene los mensajes hasta que el shell está listo', async () => {
+    const sent = [];
+    window.addEventListener('agentlet-message', event => sent.push(JSON.parse(event.detail.message)));
+    Agentlet.useTransport(new EventShellTransport());
+    element.sendEvent('queued', { count: 1 });
+    assert.deepEqual(sent, []);
+
+    window.dispatchEvent(new window.Event(SHELL_READY_EVENT));
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].event, 'queued');
+    assert.equal(sent[0].instanceId, element.instanceId);
+
+    window.dispatchEvent(new window.CustomEvent('agentlet-shell-message', {
+        detail: { target: element.instanceId, message: 'por evento' }
+    }));
+    await tick();
+    assert.equal(element.received.at(-1), 'por evento');
+});
+
+test('EventShellTransport avisa por window cuando se quita un elemento', async () => {
+    const sent = [];
+    const listener = event => sent.push({ ...event.detail, message: JSON.parse(event.detail.message) });
+    window.addEventListener('agentlet-message', listener);
+    const other = document.createElement(TAG);
+    other.setAttribute('instance-id', 'ping-b');
+    document.body.appendChild(other);
+    other.remove();
+    window.removeEventListener('agentlet-message', listener);
+
+    assert.deepEqual(sent.map(detail => detail.message.type), ['instance_connected', 'instance_disconnected']);
+    assert.equal(sent[1].tagName, TAG);
+    assert.equal(sent[1].instanceId, 'ping-b');
+});
+
+test('PostMessageShellTransport solo acepta mensajes del shell y de los orígenes permitidos', async () => {
+    const origin = 'https://shell.example';
+    const shellWindow = {
+        posted: [],
+        postMessage(data, targetOrigin) {
+            this.posted.push({ data, targetOrigin });
+        }
+    };
+    const post = (data, options) => window.dispatchEvent(new window.MessageEvent('message', {
+        data: { channel: 'agentlet', ...data },
+        origin: origin,
+        source: shellWindow,
+        ...options
+    }));
+    Agentlet.useTransport(new PostMessageShellTransport({ targetOrigin: origin, target: shellWindow }));
+    element.sendEvent('waiting', {});
+
+    // Un shell-ready de otro origen o de otra ventana no libera la cola
+    post({ kind: 'shell-ready' }, { origin: 'https://evil.example' });
+    post({ kind: 'shell-ready' }, { source: {} });
+    assert.deepEqual(shellWindow.posted, []);
+
+    post({ kind: 'shell-ready' });
+    assert.equal(shellWindow.posted.length, 1);
+    assert.deepEqual(shellWindow.posted.map(p => p.targetOrigin), [origin]);
+    assert.equal(JSON.parse(shellWindow.posted[0].data.message).event, 'waiting');
+
+    const before = element.received.length;
+    post({ kind: 'message', target: element.instanceId, message: 'de evil' }, { origin: 'https://evil.example' });
+    post({ kind: 'message', target: element.instanceId, message: 'de otra ventana' }, { source: {} });
+    post({ kind: 'message', target: element.instanceId, message: 'del shell' });
+    await tick();
+    assert.deepEqual(element.received.slice(before), ['del shell']);
+
+    // El transporte de eventos anterior ya no entrega mensajes
+    window.dispatchEvent(new window.CustomEvent('agentlet-shell-message', {
+        detail: { target: element.instanceId, message: 'canal viejo' }
+    }));
+    await tick();
+    assert.equal(element.received.at(-1), 'del shell');
+});